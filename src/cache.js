@@ -0,0 +1,229 @@
+/**
+ * Response cache for store requests
+ * In-memory LRU with an optional on-disk store, keyed by URL
+ *
+ * Disk entries are <sha256 of the URL>.json files whose modification time is set to their
+ * expiry, so that expired and surplus entries can be pruned from file metadata alone.
+ * Other files in the cache directory are never touched.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, stat, utimes, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { config } from './config.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_TTL = 15 * MINUTE;
+const MAX_ENTRIES = config.cache.size;
+const CACHE_DIR = config.cache.dir;
+const CACHE_ENABLED = config.cache.enabled;
+const MAX_DISK_ENTRIES = config.cache.diskSize;
+const PRUNE_EVERY = 100; // Disk writes between two prunes
+
+/**
+ * Names of the files written by the disk store
+ */
+const ENTRY_FILE = /^[0-9a-f]{64}\.json$/;
+
+/**
+ * Cache modes accepted by the `cache` tool argument
+ * - default: serve from cache when fresh, store the response otherwise
+ * - bypass: never read from or write to the cache
+ * - refresh: always fetch, then store the fresh response
+ */
+export const CACHE_MODES = ['default', 'bypass', 'refresh'];
+
+/**
+ * Per-endpoint TTLs, first matching pattern wins
+ */
+const TTL_RULES = [
+  { pattern: /\/rss\/customerreviews\//, ttl: 5 * MINUTE },
+  { pattern: /#Reviews$/, ttl: 5 * MINUTE },
+  { pattern: /\/rss\/top[a-z]+applications\//, ttl: 15 * MINUTE },
+  { pattern: /\/store\/apps\/category\//, ttl: 15 * MINUTE },
+  { pattern: /\/lookup\?/, ttl: HOUR },
+  { pattern: /\/store\/apps\/details\?/, ttl: HOUR },
+  { pattern: /\/store\/apps\/developer\?/, ttl: HOUR },
+  { pattern: /\/app-privacy-details\//, ttl: HOUR },
+  { pattern: /\/app-version-history\//, ttl: HOUR },
+  { pattern: /\/store\/apps$/, ttl: 24 * HOUR },
+];
+
+/**
+ * Entries ordered from least to most recently used
+ */
+const memory = new Map();
+
+let diskWrites = 0;
+let pruning = null;
+
+/**
+ * Resolves the TTL for a URL
+ * @param {string} url - Request URL
+ * @returns {number} TTL in milliseconds
+ */
+export function resolveTtl(url) {
+  const rule = TTL_RULES.find(({ pattern }) => pattern.test(url));
+  return rule ? rule.ttl : DEFAULT_TTL;
+}
+
+/**
+ * Builds the on-disk file path for a URL
+ */
+function diskPath(url) {
+  const hash = createHash('sha256').update(url).digest('hex');
+  return join(CACHE_DIR, `${hash}.json`);
+}
+
+/**
+ * Stores an entry in memory, evicting the least recently used entry when full
+ */
+function remember(url, entry) {
+  memory.delete(url);
+  memory.set(url, entry);
+
+  if (memory.size > MAX_ENTRIES) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+/**
+ * Reads an entry from the on-disk store
+ */
+async function readDisk(url) {
+  if (!CACHE_DIR) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(await readFile(diskPath(url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the entry files of the on-disk store
+ * @returns {Promise<Array<string>>} Paths, empty when the directory does not exist
+ */
+async function listDiskEntries() {
+  try {
+    return (await readdir(CACHE_DIR)).filter(name => ENTRY_FILE.test(name)).map(name => join(CACHE_DIR, name));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Removes expired disk entries, then the entries closest to expiry beyond MAX_DISK_ENTRIES
+ */
+async function pruneDisk() {
+  const now = Date.now();
+  const entries = [];
+
+  for (const path of await listDiskEntries()) {
+    try {
+      entries.push({ path, expiresAt: (await stat(path)).mtimeMs });
+    } catch (error) {
+      // Removed in the meantime
+    }
+  }
+
+  const live = entries.filter(entry => entry.expiresAt > now).sort((first, second) => second.expiresAt - first.expiresAt);
+  const removed = [...entries.filter(entry => entry.expiresAt <= now), ...live.slice(MAX_DISK_ENTRIES)];
+
+  await Promise.all(removed.map(({ path }) => rm(path, { force: true })));
+}
+
+/**
+ * Writes an entry to the on-disk store, pruning the store every PRUNE_EVERY writes
+ */
+async function writeDisk(url, entry) {
+  if (!CACHE_DIR) {
+    return;
+  }
+
+  try {
+    const path = diskPath(url);
+    await mkdir(CACHE_DIR, { recursive: true });
+    await writeFile(path, JSON.stringify({ url, ...entry }));
+    await utimes(path, new Date(), new Date(entry.expiresAt));
+  } catch (error) {
+    console.error('Error writing cache entry:', error.message);
+    return;
+  }
+
+  if (diskWrites++ % PRUNE_EVERY === 0 && !pruning) {
+    pruning = pruneDisk()
+      .catch(error => console.error('Error pruning cache:', error.message))
+      .finally(() => {
+        pruning = null;
+      });
+    await pruning;
+  }
+}
+
+/**
+ * Returns a cached body for a URL if it has not expired
+ * @param {string} url - Request URL
+ * @returns {Promise<string|undefined>}
+ */
+export async function getCached(url) {
+  if (!CACHE_ENABLED) {
+    return undefined;
+  }
+
+  let entry = memory.get(url);
+
+  if (!entry) {
+    entry = await readDisk(url);
+  }
+
+  if (!entry) {
+    return undefined;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    memory.delete(url);
+    return undefined;
+  }
+
+  remember(url, entry);
+  return entry.body;
+}
+
+/**
+ * Stores a response body for a URL using its endpoint TTL
+ * @param {string} url - Request URL
+ * @param {string} body - Response body
+ * @returns {Promise<void>}
+ */
+export async function setCached(url, body) {
+  if (!CACHE_ENABLED) {
+    return;
+  }
+
+  const entry = {
+    body,
+    expiresAt: Date.now() + resolveTtl(url),
+  };
+
+  remember(url, entry);
+  await writeDisk(url, entry);
+}
+
+/**
+ * Removes every cached entry from memory and disk (only the entry files, not the directory)
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+  memory.clear();
+
+  if (CACHE_DIR) {
+    await Promise.all((await listDiskEntries()).map(path => rm(path, { force: true })));
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Cassette mode: records store responses to disk and replays them without network access
+ * Enabled with STORE_SCRAPER_CASSETTE=record|replay, files go to STORE_SCRAPER_CASSETTE_DIR
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+
+import { StoreError, ErrorCode, codeForStatus } from './errors.js';
+
+const MODES = ['record', 'replay'];
+
+const MODE = process.env.STORE_SCRAPER_CASSETTE || null;
+const CASSETTE_DIR = resolve(process.env.STORE_SCRAPER_CASSETTE_DIR || 'cassettes');
+
+if (MODE && !MODES.includes(MODE)) {
+  throw new Error(`Invalid STORE_SCRAPER_CASSETTE "${MODE}", expected one of: ${MODES.join(', ')}`);
+}
+
+/**
+ * Returns the active cassette mode
+ * @returns {string|null} record, replay or null when disabled
+ */
+export function getCassetteMode() {
+  return MODE;
+}
+
+/**
+ * Builds a readable, collision-free file path for a URL
+ * e.g. play.google.com_store_apps_details-1a2b3c4d5e.json
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+export function cassettePath(url) {
+  const { host, pathname } = new URL(url);
+  const slug = `${host}${pathname}`.replace(/[^a-zA-Z0-9.-]+/g, '_').slice(0, 100);
+  const hash = createHash('sha256').update(url).digest('hex').slice(0, 10);
+  return join(CASSETTE_DIR, `${slug}-${hash}.json`);
+}
+
+/**
+ * Whether a content type is binary, recorded as base64
+ */
+function isBinary(contentType) {
+  return /^image\//i.test(contentType || '');
+}
+
+/**
+ * Records a response body for a URL
+ * @param {string} url - Request URL
+ * @param {Response} response - Response to record (its body is consumed)
+ * @returns {Promise<void>}
+ */
+export async function recordResponse(url, response) {
+  const contentType = response.headers.get('content-type');
+  const entry = {
+    url,
+    status: response.status,
+    contentType,
+    recordedAt: new Date().toISOString(),
+  };
+
+  if (isBinary(contentType)) {
+    entry.bodyBase64 = Buffer.from(await response.arrayBuffer()).toString('base64');
+  } else {
+    entry.body = await response.text();
+  }
+
+  await mkdir(CASSETTE_DIR, { recursive: true });
+  await writeFile(cassettePath(url), JSON.stringify(entry, null, 2));
+}
+
+/**
+ * Replays a recorded response for a URL
+ * @param {string} url - Request URL
+ * @returns {Promise<Response>}
+ * @throws {StoreError} CASSETTE_MISS when the URL was never recorded, or the error a live
+ *   request would throw for a recorded non-2xx status
+ */
+export async function replayResponse(url) {
+  let entry;
+
+  try {
+    entry = JSON.parse(await readFile(cassettePath(url), 'utf8'));
+  } catch (error) {
+    throw new StoreError(ErrorCode.CASSETTE_MISS, `Recording missing: no recorded response for ${url} in ${CASSETTE_DIR}`, { url });
+  }
+
+  if (entry.status < 200 || entry.status >= 300) {
+    throw new StoreError(codeForStatus(entry.status), `HTTP ${entry.status} (replayed)`, { url, status: entry.status });
+  }
+
+  const body = entry.bodyBase64 !== undefined ? Buffer.from(entry.bodyBase64, 'base64') : entry.body;
+
+  return new Response(body, {
+    status: entry.status,
+    headers: entry.contentType ? { 'content-type': entry.contentType } : {},
+  });
+}
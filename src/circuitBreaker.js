@@ -0,0 +1,101 @@
+/**
+ * Per-host circuit breaker
+ * Fails fast after repeated upstream failures instead of hammering the store
+ */
+
+import { StoreError, ErrorCode } from './errors.js';
+
+const FAILURE_THRESHOLD = 5;
+const OPEN_DURATION = 30000; // 30 seconds
+
+/**
+ * Breaker state per host
+ */
+const breakers = new Map();
+
+/**
+ * Returns the breaker state for a host, creating it on first use
+ */
+function getBreaker(host) {
+  let breaker = breakers.get(host);
+
+  if (!breaker) {
+    breaker = {
+      state: 'closed', // closed, open, half-open
+      failures: 0,
+      openedAt: 0,
+      probing: false,
+    };
+    breakers.set(host, breaker);
+  }
+
+  return breaker;
+}
+
+/**
+ * Throws if requests to the host should not be attempted right now.
+ * Once the open period has elapsed a single probe request is let through.
+ * @param {string} host - Host name
+ */
+export function assertAvailable(host) {
+  const breaker = getBreaker(host);
+
+  if (breaker.state === 'closed') {
+    return;
+  }
+
+  const remaining = breaker.openedAt + OPEN_DURATION - Date.now();
+
+  if (breaker.state === 'open' && remaining <= 0) {
+    breaker.state = 'half-open';
+  }
+
+  if (breaker.state === 'half-open' && !breaker.probing) {
+    breaker.probing = true;
+    return;
+  }
+
+  const retryIn = Math.max(1, Math.ceil(remaining / 1000));
+  throw new StoreError(
+    ErrorCode.UNAVAILABLE,
+    `Store temporarily unavailable: ${host} failed ${breaker.failures} consecutive requests, retry in ${retryIn}s`,
+    { retryAfter: retryIn * 1000 }
+  );
+}
+
+/**
+ * Records a successful request, closing the breaker
+ * @param {string} host - Host name
+ */
+export function recordSuccess(host) {
+  const breaker = getBreaker(host);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.probing = false;
+}
+
+/**
+ * Records a failed request, opening the breaker after too many in a row
+ * or when a half-open probe fails
+ * @param {string} host - Host name
+ */
+export function recordFailure(host) {
+  const breaker = getBreaker(host);
+  breaker.failures += 1;
+
+  if (breaker.state === 'half-open' || breaker.failures >= FAILURE_THRESHOLD) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+
+  breaker.probing = false;
+}
+
+/**
+ * Frees the half-open probe slot of a request that was cancelled by its caller,
+ * leaving the breaker state unchanged
+ * @param {string} host - Host name
+ */
+export function releaseProbe(host) {
+  getBreaker(host).probing = false;
+}
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Command line interface
+ * Runs any tool without an MCP client, using the same registry as the MCP server:
+ *
+ *   store-scraper <tool> [--<argument> <value> ...] [--format json|csv|markdown] [--pages <n>] [--args-file <path>]
+ *
+ * Results are printed to stdout, errors to stderr as typed error JSON
+ */
+
+import { readFile } from 'node:fs/promises';
+
+import { getTool, listTools, runTool } from './tools/registry.js';
+import { renderTable, FORMATS } from './tools/formats.js';
+import { toStoreError } from './errors.js';
+
+/**
+ * Options handled by the CLI itself rather than passed to the tool
+ */
+const CLI_OPTIONS = ['format', 'pages', 'args-file', 'help'];
+
+const USAGE = `Usage: store-scraper <tool> [--<argument> <value> ...] [options]
+       store-scraper --help
+
+Options:
+  --format json|csv|markdown  Output format (default: json)
+  --pages <n>                 Fetch up to n consecutive pages and merge them (tools with a page argument)
+  --args-file <path>          Run the tool once per argument set read from a JSON array or JSON Lines
+                              file ("-" for stdin); command line arguments apply to every run
+  --help                      List the tools, or the arguments of a tool
+
+Examples:
+  store-scraper app --id 553834731
+  store-scraper reviews --id 553834731 --pages 3 --format csv
+  store-scraper search --args-file terms.jsonl --fields title,rating.average`;
+
+/**
+ * Error in the command line, printed with the usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses `<tool> --name value --flag` into a tool name and arguments
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} { toolName, args, options }
+ */
+function parseCommandLine(argv) {
+  const toolName = argv[0] && !argv[0].startsWith('--') ? argv[0] : undefined;
+  const rest = toolName ? argv.slice(1) : argv;
+  const args = {};
+  const options = {};
+
+  for (let index = 0; index < rest.length; index++) {
+    const match = rest[index].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new UsageError(`Unexpected argument "${rest[index]}"`);
+    }
+
+    const [, name, inlineValue] = match;
+    let value = inlineValue;
+    if (value === undefined) {
+      value = rest[index + 1] !== undefined && !rest[index + 1].startsWith('--') ? rest[++index] : true;
+    }
+
+    if (CLI_OPTIONS.includes(name)) {
+      options[name] = value;
+    } else {
+      args[name] = value;
+    }
+  }
+
+  return { toolName, args, options };
+}
+
+/**
+ * Converts command line values of array arguments: a JSON array (`--calls '[{...}]'`)
+ * or comma-separated values (`--ids 1,2`); items are coerced by the validation
+ */
+function toArrayArguments(tool, args) {
+  const converted = { ...args };
+
+  for (const [name, value] of Object.entries(args)) {
+    if (tool.inputSchema.properties[name]?.type !== 'array' || typeof value !== 'string') {
+      continue;
+    }
+    if (value.trim().startsWith('[')) {
+      try {
+        converted[name] = JSON.parse(value);
+      } catch (error) {
+        throw new UsageError(`Invalid JSON array for --${name}: ${error.message}`);
+      }
+    } else {
+      converted[name] = value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Reads argument sets from a JSON array or JSON Lines file
+ * @param {string} path - File path, "-" for stdin
+ * @returns {Promise<Array<Object>>}
+ */
+async function readArgsFile(path) {
+  let text;
+  if (path === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    text = Buffer.concat(chunks).toString('utf8');
+  } else {
+    text = await readFile(path, 'utf8');
+  }
+
+  try {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed);
+    }
+    return trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  } catch (error) {
+    throw new UsageError(`Invalid arguments file ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Runs a tool over consecutive pages and merges their list items, stopping at the first empty page,
+ * at the last page the tool accepts, or at a page repeating the previous one (gp_reviews, whose
+ * store page ignores the page number)
+ */
+async function runPages(tool, args, pages) {
+  const { default: defaultPage = 0, maximum = Infinity } = tool.inputSchema.properties.page;
+  const firstPage = Number(args.page ?? defaultPage);
+  const lastPage = Math.min(firstPage + pages - 1, maximum);
+  let merged = null;
+  let previous = new Set();
+
+  for (let offset = 0; offset === 0 || firstPage + offset <= lastPage; offset++) {
+    const result = await runTool(tool, { ...args, page: firstPage + offset });
+    const items = result[tool.listKey] || [];
+    const keys = items.map(item => JSON.stringify(item));
+
+    if (keys.length > 0 && keys.every(key => previous.has(key))) {
+      break;
+    }
+    previous = new Set(keys);
+
+    if (!merged) {
+      merged = result;
+    } else {
+      merged = { ...merged, [tool.listKey]: [...merged[tool.listKey], ...items] };
+    }
+
+    if (items.length === 0) {
+      break;
+    }
+  }
+
+  if ('count' in merged) {
+    merged.count = merged[tool.listKey].length;
+  }
+  return merged;
+}
+
+/**
+ * Removes the cursor of a truncated result: the remaining items are kept in the memory
+ * of this process only, so a cursor could never be redeemed by a later run
+ */
+function withoutCursor(result) {
+  const { cursor, ...rest } = result;
+  return rest;
+}
+
+/**
+ * Prints the tools, or the arguments of one tool
+ */
+function printHelp(tool) {
+  if (!tool) {
+    const tools = listTools().map(({ name, description }) => `  ${name.padEnd(16)} ${description}`);
+    console.log(`${USAGE}\n\nTools:\n${tools.join('\n')}`);
+    return;
+  }
+
+  const { properties, required = [] } = tool.inputSchema;
+  const lines = Object.entries(properties).map(([name, property]) => {
+    const flags = [property.type, required.includes(name) ? 'required' : null].filter(Boolean).join(', ');
+    return `  --${name.padEnd(14)} (${flags}) ${property.description || ''}`;
+  });
+  console.log(`store-scraper ${tool.name}: ${tool.description}\n\nArguments:\n${lines.join('\n')}`);
+}
+
+/**
+ * Renders results for stdout: one JSON document, JSON Lines for an arguments file, or one table
+ */
+function render(tool, results, format, jsonLines) {
+  if (format === 'json') {
+    return jsonLines
+      ? results.map(result => JSON.stringify(result)).join('\n')
+      : JSON.stringify(results[0], null, 2);
+  }
+
+  const items = results.flatMap(result => (tool.listKey && Array.isArray(result[tool.listKey]) ? result[tool.listKey] : [result]));
+  return renderTable(items, format, { columns: tool.columns });
+}
+
+async function main() {
+  const { toolName, args, options } = parseCommandLine(process.argv.slice(2));
+  const tool = toolName && getTool(toolName);
+
+  if (options.help || !toolName) {
+    printHelp(tool);
+    return;
+  }
+  if (!tool) {
+    throw new UsageError(`Unknown tool "${toolName}", run store-scraper --help for the list of tools`);
+  }
+
+  const format = options.format || 'json';
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Invalid format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+
+  const pages = options.pages === undefined ? 1 : Number(options.pages);
+  if (!Number.isInteger(pages) || pages < 1) {
+    throw new UsageError(`Invalid --pages "${options.pages}", expected a positive integer`);
+  }
+  if (pages > 1 && (!tool.inputSchema.properties.page || !tool.listKey)) {
+    throw new UsageError(`${tool.name} has no pages`);
+  }
+
+  const argSets = options['args-file'] ? await readArgsFile(options['args-file']) : [{}];
+  const results = [];
+  let failed = false;
+
+  for (const fileArgs of argSets) {
+    const runArgs = toArrayArguments(tool, { ...args, ...fileArgs });
+    if (runArgs.cursor !== undefined) {
+      throw new UsageError('--cursor is not supported: truncated results are final on the command line');
+    }
+    try {
+      const result = pages > 1 ? await runPages(tool, runArgs, pages) : await runTool(tool, runArgs);
+      results.push(withoutCursor(result));
+    } catch (error) {
+      failed = true;
+      console.error(JSON.stringify({ arguments: runArgs, ...toStoreError(error).toJSON() }));
+    }
+  }
+
+  if (results.length > 0) {
+    console.log(render(tool, results, format, Boolean(options['args-file'])));
+  }
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  if (error instanceof UsageError) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(JSON.stringify(toStoreError(error).toJSON()));
+  process.exitCode = 1;
+});
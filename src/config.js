@@ -0,0 +1,246 @@
+/**
+ * Runtime configuration
+ * Read once at startup from a JSON file (STORE_SCRAPER_CONFIG, or store-scraper.config.json
+ * in the working directory when present), then overridden by environment variables.
+ * Both sources are validated; an invalid setting stops the process with every problem listed.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+import { validateArgs } from './tools/validate.js';
+
+const DEFAULT_CONFIG_FILE = 'store-scraper.config.json';
+
+/**
+ * Settings used when neither the file nor the environment sets them
+ */
+const DEFAULTS = {
+  defaults: {
+    country: 'us',
+    lang: 'en',
+  },
+  http: {
+    timeout: 30000, // 30 seconds
+    userAgents: [
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    ],
+    rateLimits: [], // Overrides of the per-host defaults in rateLimiter.js
+  },
+  retry: {
+    maxRetries: 3,
+    baseDelay: 1000, // 1 second, base for exponential backoff
+    maxDelay: 15000, // 15 seconds
+    maxRetryAfter: 60000, // Longer Retry-After values fail instead of waiting
+  },
+  cache: {
+    enabled: true,
+    size: 500,
+    dir: null,
+    diskSize: 5000,
+  },
+  tools: {
+    allow: null,
+    deny: [],
+  },
+};
+
+const toolList = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 },
+};
+
+/**
+ * Accepted settings, unknown keys are rejected to catch typos
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    defaults: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        country: { type: 'string', format: 'country' },
+        lang: { type: 'string', minLength: 2 },
+      },
+    },
+    http: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        timeout: { type: 'integer', minimum: 1 },
+        userAgents: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        rateLimits: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              host: { type: 'string', minLength: 1 },
+              requestsPerSecond: { type: 'number', exclusiveMinimum: 0 },
+              maxConcurrency: { type: 'integer', minimum: 1 },
+            },
+            required: ['host', 'requestsPerSecond'],
+          },
+        },
+      },
+    },
+    retry: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxRetries: { type: 'integer', minimum: 0 },
+        baseDelay: { type: 'integer', minimum: 0 },
+        maxDelay: { type: 'integer', minimum: 0 },
+        maxRetryAfter: { type: 'integer', minimum: 0 },
+      },
+    },
+    cache: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        size: { type: 'integer', minimum: 1 },
+        dir: { type: 'string', minLength: 1 },
+        diskSize: { type: 'integer', minimum: 1 },
+      },
+    },
+    tools: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        allow: toolList,
+        deny: toolList,
+      },
+    },
+  },
+};
+
+/**
+ * Splits a comma-separated env value
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads rate limits like "play.google.com=1:2,*=4:4" (host=requestsPerSecond[:maxConcurrency]),
+ * numbers are coerced by validation
+ */
+function readRateLimits(value) {
+  return splitList(value).map((item) => {
+    const [host, limit = ''] = item.split('=');
+    const [requestsPerSecond, maxConcurrency] = limit.split(':');
+    return { host, requestsPerSecond, maxConcurrency };
+  });
+}
+
+/**
+ * Reads an on/off environment variable: on, true, 1 or off, false, 0
+ * (other values are left as they are and rejected by validation)
+ */
+function readSwitch(value) {
+  const normalized = value?.trim().toLowerCase();
+
+  if (['on', 'true', '1'].includes(normalized)) {
+    return true;
+  }
+  if (['off', 'false', '0'].includes(normalized)) {
+    return false;
+  }
+  return value;
+}
+
+/**
+ * Reads the config file
+ * @returns {Object} { path, settings }, settings is empty when there is no file
+ */
+function readConfigFile(env) {
+  const path = resolve(env.STORE_SCRAPER_CONFIG || DEFAULT_CONFIG_FILE);
+
+  if (!env.STORE_SCRAPER_CONFIG && !existsSync(path)) {
+    return { path: null, settings: {} };
+  }
+
+  try {
+    return { path, settings: JSON.parse(readFileSync(path, 'utf8')) };
+  } catch (error) {
+    throw new Error(`Cannot read config file ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Collects the settings overridden by environment variables (values are coerced by validation)
+ */
+function readEnv(env) {
+  const sections = {
+    defaults: {
+      country: env.STORE_SCRAPER_COUNTRY,
+      lang: env.STORE_SCRAPER_LANG,
+    },
+    http: {
+      timeout: env.STORE_SCRAPER_TIMEOUT,
+      userAgents: env.STORE_SCRAPER_USER_AGENT ? [env.STORE_SCRAPER_USER_AGENT] : undefined,
+      rateLimits: env.STORE_SCRAPER_RATE_LIMITS ? readRateLimits(env.STORE_SCRAPER_RATE_LIMITS) : undefined,
+    },
+    retry: {
+      maxRetries: env.STORE_SCRAPER_MAX_RETRIES,
+    },
+    cache: {
+      enabled: readSwitch(env.STORE_SCRAPER_CACHE),
+      size: env.STORE_SCRAPER_CACHE_SIZE,
+      dir: env.STORE_SCRAPER_CACHE_DIR,
+      diskSize: env.STORE_SCRAPER_CACHE_DISK_SIZE,
+    },
+    tools: {
+      allow: env.STORE_SCRAPER_TOOLS ? splitList(env.STORE_SCRAPER_TOOLS) : undefined,
+      deny: env.STORE_SCRAPER_DISABLED_TOOLS ? splitList(env.STORE_SCRAPER_DISABLED_TOOLS) : undefined,
+    },
+  };
+
+  const settings = {};
+  for (const [section, values] of Object.entries(sections)) {
+    const defined = Object.entries(values).filter(([, value]) => value !== undefined && value !== '');
+    if (defined.length > 0) {
+      settings[section] = Object.fromEntries(defined);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Validates the settings of one source
+ */
+function validate(settings, source) {
+  try {
+    return validateArgs(CONFIG_SCHEMA, settings);
+  } catch (error) {
+    throw new Error(`Invalid configuration in ${source}: ${error.message.replace(/^Invalid arguments: /, '')}`);
+  }
+}
+
+/**
+ * Builds the configuration from the defaults, the config file and the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Frozen configuration with every section of DEFAULTS
+ * @throws {Error} When the file cannot be read or a setting is invalid
+ */
+export function loadConfig(env = process.env) {
+  const file = readConfigFile(env);
+  const sources = [
+    validate(file.settings, file.path || 'config file'),
+    validate(readEnv(env), 'environment variables'),
+  ];
+
+  const config = {};
+  for (const [section, defaults] of Object.entries(DEFAULTS)) {
+    config[section] = Object.freeze(Object.assign({}, defaults, ...sources.map(source => source[section])));
+  }
+  return Object.freeze(config);
+}
+
+/**
+ * Configuration of this process
+ */
+export const config = loadConfig();
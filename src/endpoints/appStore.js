@@ -3,6 +3,9 @@
  * Based on iTunes Search API and App Store web endpoints
  */
 
+import { StoreError, ErrorCode } from '../errors.js';
+import { config } from '../config.js';
+
 const ITUNES_BASE = 'https://itunes.apple.com';
 const APP_STORE_BASE = 'https://apps.apple.com';
 
@@ -14,8 +17,8 @@ const APP_STORE_BASE = 'https://apps.apple.com';
 export function buildSearchUrl(params) {
   const {
     term,
-    country = 'us',
-    lang = 'en',
+    country = config.defaults.country,
+    lang = config.defaults.lang,
     num = 50,
     page = 1,
     entity = 'software',
@@ -40,7 +43,7 @@ export function buildSearchUrl(params) {
  * @returns {string}
  */
 export function buildAppUrl(params) {
-  const { id, appId, country = 'us' } = params;
+  const { id, appId, country = config.defaults.country } = params;
   
   if (id) {
     return `${ITUNES_BASE}/lookup?id=${id}&country=${country}`;
@@ -51,7 +54,34 @@ export function buildAppUrl(params) {
     return `${ITUNES_BASE}/lookup?bundleId=${appId}&country=${country}`;
   }
   
-  throw new Error('Either id or appId must be provided');
+  throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'Either id or appId must be provided');
+}
+
+/**
+ * Maximum number of ids or bundleIds in one lookup request
+ */
+export const MAX_LOOKUP_IDS = 200;
+
+/**
+ * Builds a lookup URL for several apps at once
+ * @param {Object} params - Lookup parameters
+ * @param {Array<number>} [params.ids] - iTunes trackIds, at most MAX_LOOKUP_IDS
+ * @param {Array<string>} [params.appIds] - Bundle IDs, used when no ids are given
+ * @param {string} [params.country] - Storefront country
+ * @returns {string}
+ */
+export function buildLookupUrl(params) {
+  const { ids, appIds, country = config.defaults.country } = params;
+
+  if (ids?.length) {
+    return `${ITUNES_BASE}/lookup?id=${ids.join(',')}&country=${country}`;
+  }
+
+  if (appIds?.length) {
+    return `${ITUNES_BASE}/lookup?bundleId=${appIds.map(encodeURIComponent).join(',')}&country=${country}`;
+  }
+
+  throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'Either ids or appIds must be provided');
 }
 
 /**
@@ -60,7 +90,7 @@ export function buildAppUrl(params) {
  * @returns {string}
  */
 export function buildDeveloperUrl(params) {
-  const { devId, country = 'us', lang = 'en' } = params;
+  const { devId, country = config.defaults.country, lang = config.defaults.lang } = params;
   const queryParams = new URLSearchParams({
     id: devId.toString(),
     country: country,
@@ -77,10 +107,10 @@ export function buildDeveloperUrl(params) {
  * @returns {string}
  */
 export function buildReviewsUrl(params) {
-  const { id, appId, country = 'us', page = 1, sort = 'mostRecent' } = params;
+  const { id, appId, country = config.defaults.country, page = 1, sort = 'mostRecent' } = params;
   
   if (!id && !appId) {
-    throw new Error('Either id or appId must be provided');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'Either id or appId must be provided');
   }
   
   const appIdParam = id || appId;
@@ -105,10 +135,10 @@ export function buildRatingsUrl(params) {
  * @returns {string}
  */
 export function buildSimilarUrl(params) {
-  const { id, appId, country = 'us' } = params;
+  const { id, appId, country = config.defaults.country } = params;
   
   if (!id && !appId) {
-    throw new Error('Either id or appId must be provided');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'Either id or appId must be provided');
   }
   
   // Similar apps are found via the web page
@@ -125,7 +155,7 @@ export function buildPrivacyUrl(params) {
   const { id } = params;
   
   if (!id) {
-    throw new Error('id must be provided for privacy data');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'id must be provided for privacy data');
   }
   
   return `${ITUNES_BASE}/us/app-privacy-details/${id}.json`;
@@ -137,10 +167,10 @@ export function buildPrivacyUrl(params) {
  * @returns {string}
  */
 export function buildVersionHistoryUrl(params) {
-  const { id, country = 'us' } = params;
+  const { id, country = config.defaults.country } = params;
   
   if (!id) {
-    throw new Error('id must be provided for version history');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'id must be provided for version history');
   }
   
   return `${ITUNES_BASE}/us/app-version-history/${id}.json`;
@@ -154,7 +184,7 @@ export function buildVersionHistoryUrl(params) {
 export function buildListUrl(params) {
   const {
     category = 'all',
-    country = 'us',
+    country = config.defaults.country,
     genre = 'all',
     limit = 200,
     chart = 'topfreeapplications', // topfreeapplications, toppaidapplications, topgrossingapplications
@@ -178,7 +208,7 @@ export function buildListUrl(params) {
  * @returns {string}
  */
 export function buildSuggestUrl(params) {
-  const { term, country = 'us' } = params;
+  const { term, country = config.defaults.country } = params;
   
   // App Store uses a different endpoint for suggestions
   return `https://search.itunes.apple.com/WebObjects/MZSearchHints.woa/wa/hints?term=${encodeURIComponent(term)}&country=${country}`;
@@ -3,9 +3,26 @@
  * Based on Google Play web interface and internal APIs
  */
 
+import { StoreError, ErrorCode } from '../errors.js';
+import { config } from '../config.js';
+
 const GOOGLE_PLAY_BASE = 'https://play.google.com';
 const GOOGLE_PLAY_API_BASE = 'https://android.clients.google.com';
 
+/**
+ * Builds the details page URL of an app, shared by the app, reviews, similar, permissions
+ * and data safety tools so that concurrent calls for one app coalesce into a single request
+ */
+function detailsUrl(appId, country, lang) {
+  const queryParams = new URLSearchParams({
+    id: appId,
+    gl: country,
+    hl: lang,
+  });
+
+  return `${GOOGLE_PLAY_BASE}/store/apps/details?${queryParams.toString()}`;
+}
+
 /**
  * Builds a search URL for Google Play
  * @param {Object} params - Search parameters
@@ -14,8 +31,8 @@ const GOOGLE_PLAY_API_BASE = 'https://android.clients.google.com';
 export function buildSearchUrl(params) {
   const {
     term,
-    country = 'us',
-    lang = 'en',
+    country = config.defaults.country,
+    lang = config.defaults.lang,
     num = 250,
     fullDetail = false,
   } = params;
@@ -36,19 +53,13 @@ export function buildSearchUrl(params) {
  * @returns {string}
  */
 export function buildAppUrl(params) {
-  const { appId, lang = 'en', country = 'us' } = params;
+  const { appId, lang = config.defaults.lang, country = config.defaults.country } = params;
   
   if (!appId) {
-    throw new Error('appId is required for Google Play');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'appId is required for Google Play');
   }
 
-  const queryParams = new URLSearchParams({
-    id: appId,
-    gl: country,
-    hl: lang,
-  });
-
-  return `${GOOGLE_PLAY_BASE}/store/apps/details?${queryParams.toString()}`;
+  return detailsUrl(appId, country, lang);
 }
 
 /**
@@ -57,10 +68,10 @@ export function buildAppUrl(params) {
  * @returns {string}
  */
 export function buildDeveloperUrl(params) {
-  const { devId, lang = 'en', country = 'us', num = 60 } = params;
+  const { devId, lang = config.defaults.lang, country = config.defaults.country, num = 60 } = params;
   
   if (!devId) {
-    throw new Error('devId is required');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'devId is required');
   }
 
   const queryParams = new URLSearchParams({
@@ -80,14 +91,14 @@ export function buildDeveloperUrl(params) {
 export function buildReviewsUrl(params) {
   const {
     appId,
-    lang = 'en',
-    country = 'us',
+    lang = config.defaults.lang,
+    country = config.defaults.country,
     page = 0,
     sort = 0, // 0 = most recent, 2 = most helpful
   } = params;
   
   if (!appId) {
-    throw new Error('appId is required');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'appId is required');
   }
 
   // Google Play uses pagination tokens, but we can use page numbers as approximation
@@ -100,7 +111,7 @@ export function buildReviewsUrl(params) {
     pageNum: page.toString(),
   });
 
-  return `${GOOGLE_PLAY_BASE}/store/apps/details?id=${appId}&gl=${country}&hl=${lang}#Reviews`;
+  return `${detailsUrl(appId, country, lang)}#Reviews`;
 }
 
 /**
@@ -112,8 +123,8 @@ export function buildListUrl(params) {
   const {
     category = 'APPLICATION',
     collection = 'topselling_free', // topselling_free, topselling_paid, topgrossing, movers_shakers
-    country = 'us',
-    lang = 'en',
+    country = config.defaults.country,
+    lang = config.defaults.lang,
     num = 60,
   } = params;
 
@@ -134,13 +145,13 @@ export function buildListUrl(params) {
  * @returns {string}
  */
 export function buildSimilarUrl(params) {
-  const { appId, lang = 'en', country = 'us' } = params;
+  const { appId, lang = config.defaults.lang, country = config.defaults.country } = params;
   
   if (!appId) {
-    throw new Error('appId is required');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'appId is required');
   }
 
-  return `${GOOGLE_PLAY_BASE}/store/apps/details?id=${appId}&gl=${country}&hl=${lang}`;
+  return detailsUrl(appId, country, lang);
 }
 
 /**
@@ -149,13 +160,13 @@ export function buildSimilarUrl(params) {
  * @returns {string}
  */
 export function buildPermissionsUrl(params) {
-  const { appId, lang = 'en', country = 'us' } = params;
+  const { appId, lang = config.defaults.lang, country = config.defaults.country } = params;
   
   if (!appId) {
-    throw new Error('appId is required');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'appId is required');
   }
 
-  return `${GOOGLE_PLAY_BASE}/store/apps/details?id=${appId}&gl=${country}&hl=${lang}`;
+  return detailsUrl(appId, country, lang);
 }
 
 /**
@@ -164,13 +175,13 @@ export function buildPermissionsUrl(params) {
  * @returns {string}
  */
 export function buildDataSafetyUrl(params) {
-  const { appId, lang = 'en' } = params;
+  const { appId, lang = config.defaults.lang, country = config.defaults.country } = params;
   
   if (!appId) {
-    throw new Error('appId is required');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'appId is required');
   }
 
-  return `${GOOGLE_PLAY_BASE}/store/apps/details?id=${appId}&hl=${lang}`;
+  return detailsUrl(appId, country, lang);
 }
 
 /**
@@ -187,10 +198,10 @@ export function buildCategoriesUrl() {
  * @returns {string}
  */
 export function buildSuggestUrl(params) {
-  const { term, country = 'us', lang = 'en' } = params;
+  const { term, country = config.defaults.country, lang = config.defaults.lang } = params;
   
   if (!term) {
-    throw new Error('term is required');
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, 'term is required');
   }
 
   // Google Play uses a different endpoint for suggestions
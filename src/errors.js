@@ -0,0 +1,122 @@
+/**
+ * Typed errors with machine-readable codes
+ * Lets agents decide whether to retry, change country or give up
+ */
+
+/**
+ * Error codes
+ */
+export const ErrorCode = {
+  NOT_FOUND: 'NOT_FOUND', // App, developer or data doesn't exist in this storefront
+  RATE_LIMITED: 'RATE_LIMITED', // Store answered 429
+  TIMEOUT: 'TIMEOUT', // Store didn't answer in time
+  PARSE_FAILED: 'PARSE_FAILED', // Response body couldn't be read (e.g. invalid JSON)
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT', // Tool arguments don't match the inputSchema
+  UPSTREAM_CHANGED: 'UPSTREAM_CHANGED', // Page was fetched but its structure is no longer recognized
+  UNAVAILABLE: 'UNAVAILABLE', // Circuit breaker is open for the store
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR', // Other HTTP error from the store
+  NETWORK_ERROR: 'NETWORK_ERROR', // Connection failed
+  CANCELLED: 'CANCELLED', // Request was cancelled by the client
+  CASSETTE_MISS: 'CASSETTE_MISS', // Replay mode has no recording of the URL
+  INTERNAL_ERROR: 'INTERNAL_ERROR', // Anything else
+};
+
+/**
+ * Codes worth retrying later with the same arguments
+ */
+const RETRYABLE = new Set([
+  ErrorCode.RATE_LIMITED,
+  ErrorCode.TIMEOUT,
+  ErrorCode.UNAVAILABLE,
+  ErrorCode.UPSTREAM_ERROR,
+  ErrorCode.NETWORK_ERROR,
+]);
+
+/**
+ * Error raised by the HTTP client, parsers and tools
+ */
+export class StoreError extends Error {
+  /**
+   * @param {string} code - One of ErrorCode
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Extra context
+   * @param {string} [details.url] - Upstream URL
+   * @param {number} [details.status] - Upstream HTTP status
+   * @param {number} [details.retryAfter] - Suggested wait before retrying, in milliseconds
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(code, message, { url, status, retryAfter, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'StoreError';
+    this.code = code;
+    this.url = url ?? null;
+    this.status = status ?? null;
+    this.retryAfter = retryAfter ?? null;
+  }
+
+  /**
+   * Whether the same call may succeed later
+   * @returns {boolean}
+   */
+  get retryable() {
+    return RETRYABLE.has(this.code);
+  }
+
+  /**
+   * Error payload returned to MCP clients
+   * @returns {Object}
+   */
+  toJSON() {
+    const payload = {
+      error: this.message,
+      code: this.code,
+      retryable: this.retryable,
+    };
+
+    if (this.url) {
+      payload.url = this.url;
+    }
+    if (this.status) {
+      payload.status = this.status;
+    }
+    if (this.retryAfter !== null) {
+      payload.retryAfterMs = this.retryAfter;
+    }
+
+    return payload;
+  }
+}
+
+/**
+ * Maps an HTTP error status to an error code
+ * @param {number} status - HTTP status
+ * @returns {string}
+ */
+export function codeForStatus(status) {
+  if (status === 404 || status === 410) {
+    return ErrorCode.NOT_FOUND;
+  }
+  if (status === 429) {
+    return ErrorCode.RATE_LIMITED;
+  }
+  return ErrorCode.UPSTREAM_ERROR;
+}
+
+/**
+ * Converts any thrown value to a StoreError
+ * @param {*} error - Thrown value
+ * @returns {StoreError}
+ */
+export function toStoreError(error) {
+  if (error instanceof StoreError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+
+  if (error?.name === 'AbortError') {
+    return new StoreError(ErrorCode.CANCELLED, 'Request was cancelled', { cause: error });
+  }
+
+  return new StoreError(ErrorCode.INTERNAL_ERROR, message, { cause: error });
+}
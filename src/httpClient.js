@@ -2,71 +2,330 @@
  * HTTP Client with retry logic and proper headers for App Store requests
  */
 
-const DEFAULT_TIMEOUT = 30000; // 30 seconds
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // 1 second
+import { getCached, setCached } from './cache.js';
+import { schedule } from './rateLimiter.js';
+import { assertAvailable, recordFailure, recordSuccess, releaseProbe } from './circuitBreaker.js';
+import { selectProxy, hasPinnedProxy, markProxyFailure, markProxySuccess } from './proxy.js';
+import { getCassetteMode, recordResponse, replayResponse } from './cassette.js';
+import { StoreError, ErrorCode, codeForStatus } from './errors.js';
+import { config } from './config.js';
+import { fetch as proxyFetch } from 'undici';
+
+const DEFAULT_TIMEOUT = config.http.timeout;
+const MAX_RETRIES = config.retry.maxRetries;
+const RETRY_DELAY = config.retry.baseDelay;
+const MAX_RETRY_DELAY = config.retry.maxDelay;
+const MAX_RETRY_AFTER = config.retry.maxRetryAfter;
+
+/**
+ * User agents that mimic real browsers, one is picked per attempt
+ */
+const USER_AGENTS = config.http.userAgents;
 
 /**
- * User agent that mimics a real browser
+ * Pending body requests by URL, used to coalesce concurrent fetches
  */
-const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const inFlight = new Map();
 
 /**
- * Sleep utility for retry delays
+ * Sleep utility for retry delays, interrupted when the signal aborts
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Exponential backoff with jitter for a retry attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Parses a Retry-After header value (delay in seconds or an HTTP-date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+
+  return Math.max(0, date - Date.now());
 }
 
 /**
  * Fetches a URL with retry logic and proper error handling
  * @param {string} url - URL to fetch
  * @param {Object} options - Fetch options
+ * @param {string} [options.country] - Storefront country, used to pick a pinned proxy
+ * @param {AbortSignal} [options.signal] - Cancels the request, including retry waits
+ * @param {Function} [options.onResponse] - Called with a copy of the final response, error statuses included
  * @param {number} retries - Number of retries remaining
  * @returns {Promise<Response>}
  */
 async function fetchWithRetry(url, options = {}, retries = MAX_RETRIES) {
+  const { country, signal, onResponse, ...requestOptions } = options;
+  const { host } = new URL(url);
+  const attempt = MAX_RETRIES - retries;
+
+  signal?.throwIfAborted();
+
+  // Fail fast while the store is known to be down
+  assertAvailable(host);
+
+  // Aborted either by the timeout or by the caller's signal
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), DEFAULT_TIMEOUT);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let timeoutId;
+
+  // Each attempt may go out through a different proxy
+  const proxy = selectProxy({ country });
 
   const fetchOptions = {
-    ...options,
+    ...requestOptions,
     signal: controller.signal,
     headers: {
-      'User-Agent': USER_AGENT,
+      'User-Agent': USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
       'Accept': 'application/json, text/html, */*',
       'Accept-Language': 'en-US,en;q=0.9',
       'Accept-Encoding': 'gzip, deflate, br',
       'Connection': 'keep-alive',
-      ...options.headers,
+      ...requestOptions.headers,
     },
   };
 
+  if (proxy) {
+    fetchOptions.dispatcher = proxy.dispatcher;
+  }
+
+  let response;
+
   try {
-    const response = await fetch(url, fetchOptions);
+    // Wait for the host's rate limiter before starting the timeout clock
+    response = await schedule(url, () => {
+      timeoutId = setTimeout(() => controller.abort(), DEFAULT_TIMEOUT);
+      return proxy ? proxyFetch(url, fetchOptions) : fetch(url, fetchOptions);
+    }, signal);
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  } catch (error) {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
 
-    if (!response.ok) {
-      // Retry on server errors (5xx) and rate limiting (429)
-      if ((response.status >= 500 || response.status === 429) && retries > 0) {
-        await sleep(RETRY_DELAY * (MAX_RETRIES - retries + 1));
-        return fetchWithRetry(url, options, retries - 1);
-      }
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // Cancelled by the caller: neither the store nor the proxy is to blame
+    if (signal?.aborted) {
+      releaseProbe(host);
+      throw signal.reason;
     }
 
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
+    recordFailure(host);
+
+    if (proxy) {
+      markProxyFailure(proxy);
+    }
+
+    const timedOut = error.name === 'AbortError';
 
-    // Retry on network errors
-    if (error.name === 'AbortError' || (error.message.includes('fetch') && retries > 0)) {
-      await sleep(RETRY_DELAY * (MAX_RETRIES - retries + 1));
+    // Retry on network errors and timeouts
+    if (retries > 0 && (timedOut || error.message.includes('fetch'))) {
+      await sleep(backoffDelay(attempt), signal);
       return fetchWithRetry(url, options, retries - 1);
     }
 
-    throw error;
+    if (timedOut) {
+      throw new StoreError(ErrorCode.TIMEOUT, `Request timed out after ${DEFAULT_TIMEOUT / 1000}s`, { url, cause: error });
+    }
+    throw new StoreError(ErrorCode.NETWORK_ERROR, `Network error: ${error.cause?.message || error.message}`, { url, cause: error });
+  }
+
+  // A throttled proxy is as good as a dead one for this host
+  if (proxy) {
+    if (response.status === 429) {
+      markProxyFailure(proxy);
+    } else {
+      markProxySuccess(proxy);
+    }
+  }
+
+  // Retry on server errors (5xx) and rate limiting (429)
+  if (response.status >= 500 || response.status === 429) {
+    recordFailure(host);
+
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    const delay = retryAfter ?? backoffDelay(attempt);
+
+    if (retries > 0 && delay <= MAX_RETRY_AFTER) {
+      await sleep(delay, signal);
+      return fetchWithRetry(url, options, retries - 1);
+    }
+
+    await onResponse?.(response.clone());
+    throw new StoreError(codeForStatus(response.status), `HTTP ${response.status}: ${response.statusText}`, {
+      url,
+      status: response.status,
+      retryAfter,
+    });
+  }
+
+  recordSuccess(host);
+  await onResponse?.(response.clone());
+
+  if (!response.ok) {
+    throw new StoreError(codeForStatus(response.status), `HTTP ${response.status}: ${response.statusText}`, {
+      url,
+      status: response.status,
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Fetches a URL from the network, or from the cassette when recording/replaying
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>}
+ */
+async function request(url, options = {}) {
+  const mode = getCassetteMode();
+
+  if (mode === 'replay') {
+    return await replayResponse(url);
+  }
+
+  // Error statuses are recorded too, so that replays fail the same way
+  const onResponse = mode === 'record' ? recorded => recordResponse(url, recorded) : undefined;
+  return await fetchWithRetry(url, { ...options, onResponse });
+}
+
+/**
+ * Fetches a response body, sharing a single request between concurrent
+ * callers of the same URL (fragments like #Reviews don't reach the server).
+ * Requests for countries with pinned proxies are only shared within the country,
+ * so that each goes out through its own country's proxies.
+ * The shared request is only aborted once every caller has cancelled.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancels this caller's wait
+ * @returns {Promise<string>}
+ */
+function fetchShared(url, options = {}) {
+  const { signal, ...sharedOptions } = options;
+  const { country } = sharedOptions;
+  const key = hasPinnedProxy(country) ? `${url.split('#')[0]} ${country.toLowerCase()}` : url.split('#')[0];
+  let entry = inFlight.get(key);
+
+  // A cancelled caller must not start (or join) a request nobody waits for
+  signal?.throwIfAborted();
+
+  if (!entry) {
+    const controller = new AbortController();
+    const pending = request(url, { ...sharedOptions, signal: controller.signal })
+      .then(response => response.text())
+      .finally(() => {
+        if (inFlight.get(key) === entry) {
+          inFlight.delete(key);
+        }
+      });
+
+    // Callers get the failure through waitShared, the shared promise itself must never go unhandled
+    pending.catch(() => {});
+
+    entry = { controller, pending, waiters: 0 };
+    inFlight.set(key, entry);
+  }
+
+  return waitShared(key, entry, signal);
+}
+
+/**
+ * Waits for a shared request on behalf of one caller
+ */
+function waitShared(key, entry, signal) {
+  entry.waiters += 1;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.waiters -= 1;
+      if (entry.waiters === 0) {
+        if (inFlight.get(key) === entry) {
+          inFlight.delete(key);
+        }
+        entry.controller.abort(signal.reason);
+      }
+      reject(signal.reason);
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    entry.pending
+      .then(resolve, reject)
+      .finally(() => signal?.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Fetches a response body, going through the response cache
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {string} [options.cache] - Cache mode: default, bypass or refresh
+ * @returns {Promise<string>}
+ */
+async function fetchBody(url, options = {}) {
+  const { cache: cacheOption = 'default', ...fetchOptions } = options;
+  // Cassettes must see every request, so the cache stays out of the way
+  const cache = getCassetteMode() ? 'bypass' : cacheOption;
+
+  if (cache === 'default') {
+    const cached = await getCached(url);
+    if (cached !== undefined) {
+      return cached;
+    }
+  }
+
+  const text = await fetchShared(url, fetchOptions);
+
+  if (cache !== 'bypass') {
+    await setCached(url, text);
   }
+
+  return text;
 }
 
 /**
@@ -76,13 +335,12 @@ async function fetchWithRetry(url, options = {}, retries = MAX_RETRIES) {
  * @returns {Promise<Object>}
  */
 export async function fetchJSON(url, options = {}) {
-  const response = await fetchWithRetry(url, options);
-  const text = await response.text();
+  const text = await fetchBody(url, options);
   
   try {
     return JSON.parse(text);
   } catch (error) {
-    throw new Error(`Failed to parse JSON from ${url}: ${error.message}`);
+    throw new StoreError(ErrorCode.PARSE_FAILED, `Failed to parse JSON from ${url}: ${error.message}`, { url, cause: error });
   }
 }
 
@@ -93,8 +351,7 @@ export async function fetchJSON(url, options = {}) {
  * @returns {Promise<string>}
  */
 export async function fetchText(url, options = {}) {
-  const response = await fetchWithRetry(url, options);
-  return await response.text();
+  return await fetchBody(url, options);
 }
 
 /**
@@ -104,6 +361,6 @@ export async function fetchText(url, options = {}) {
  * @returns {Promise<Response>}
  */
 export async function fetchResponse(url, options = {}) {
-  return await fetchWithRetry(url, options);
+  return await request(url, options);
 }
 
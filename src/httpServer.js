@@ -0,0 +1,274 @@
+/**
+ * HTTP transport
+ * Serves MCP over streamable HTTP on /mcp, with the legacy HTTP+SSE transport
+ * (GET /sse + POST /messages) as a fallback for older clients.
+ * Every session gets its own MCP server instance.
+ *
+ * Browser requests are only accepted from allowed origins, and a server bound to a loopback
+ * address only answers requests addressed to a loopback host name, against DNS rebinding.
+ */
+
+import { createServer as createHttpServer } from 'node:http';
+import { randomUUID, webcrypto } from 'node:crypto';
+
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+import { createServer } from './mcpServer.js';
+
+// The SDK transports use the global Web Crypto API, which Node 18 only exposes behind a flag
+globalThis.crypto ??= webcrypto;
+
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes without a request
+const SWEEP_INTERVAL = 60 * 1000;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]'];
+
+/**
+ * Open sessions by session ID, as { transport, lastActivity }
+ */
+const streamableSessions = new Map();
+const sseSessions = new Map();
+
+/**
+ * Host names a browser page may be served from, and that requests may be addressed to
+ * (null when the server listens on every interface and cannot tell)
+ */
+let allowedHostnames = LOOPBACK_HOSTS;
+
+/**
+ * Extra origins allowed to call the server, e.g. https://app.example.com
+ */
+let allowedOrigins = [];
+
+/**
+ * Sends a JSON response
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends a JSON-RPC error response
+ */
+function sendRpcError(res, status, code, message) {
+  sendJSON(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+/**
+ * Host names of the bind address
+ */
+function hostnamesFor(host) {
+  const hostname = host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+
+  if (LOOPBACK_HOSTS.includes(hostname.toLowerCase())) {
+    return LOOPBACK_HOSTS;
+  }
+  return WILDCARD_HOSTS.includes(hostname) ? null : [hostname.toLowerCase()];
+}
+
+/**
+ * Checks the Origin and Host headers against DNS rebinding
+ * @returns {string|null} Reason to reject the request, null when it is allowed
+ */
+function checkOrigin(req) {
+  const { origin, host } = req.headers;
+
+  if (allowedHostnames === LOOPBACK_HOSTS && host) {
+    const hostname = new URL(`http://${host}`).hostname;
+    if (!LOOPBACK_HOSTS.includes(hostname)) {
+      return `Host ${host} is not allowed`;
+    }
+  }
+
+  // Non-browser clients send no Origin
+  if (!origin || allowedOrigins.includes(origin)) {
+    return null;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(origin).hostname;
+  } catch {
+    return `Origin ${origin} is not allowed`;
+  }
+  return allowedHostnames?.includes(hostname) ? null : `Origin ${origin} is not allowed`;
+}
+
+/**
+ * Closes the sessions that received no request for SESSION_IDLE_TIMEOUT
+ */
+function closeIdleSessions() {
+  const now = Date.now();
+
+  for (const sessions of [streamableSessions, sseSessions]) {
+    for (const [id, session] of sessions) {
+      if (now - session.lastActivity > SESSION_IDLE_TIMEOUT) {
+        sessions.delete(id);
+        session.transport.close().catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @returns {Promise<*>} Parsed body, undefined when empty
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Handles streamable HTTP requests (POST, GET and DELETE on /mcp)
+ */
+async function handleStreamable(req, res) {
+  const body = req.method === 'POST' ? await readBody(req) : undefined;
+  const sessionId = req.headers['mcp-session-id'];
+
+  if (sessionId) {
+    const session = streamableSessions.get(sessionId);
+    if (!session) {
+      sendRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    session.lastActivity = Date.now();
+    await session.transport.handleRequest(req, res, body);
+    return;
+  }
+
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    sendRpcError(res, 400, -32000, 'Bad Request: missing Mcp-Session-Id header');
+    return;
+  }
+
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: id => streamableSessions.set(id, { transport, lastActivity: Date.now() }),
+  });
+  transport.onclose = () => streamableSessions.delete(transport.sessionId);
+
+  await createServer().connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+/**
+ * Opens a legacy SSE stream (GET /sse)
+ */
+async function handleSseStream(req, res) {
+  const transport = new SSEServerTransport('/messages', res);
+  sseSessions.set(transport.sessionId, { transport, lastActivity: Date.now() });
+  res.on('close', () => sseSessions.delete(transport.sessionId));
+
+  await createServer().connect(transport);
+}
+
+/**
+ * Receives a client message for a legacy SSE session (POST /messages?sessionId=...)
+ */
+async function handleSseMessage(req, res, url) {
+  const session = sseSessions.get(url.searchParams.get('sessionId'));
+
+  if (!session) {
+    sendRpcError(res, 404, -32001, 'Session not found');
+    return;
+  }
+
+  session.lastActivity = Date.now();
+  await session.transport.handlePostMessage(req, res, await readBody(req));
+}
+
+/**
+ * Routes a request to the matching transport
+ */
+async function route(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const rejection = checkOrigin(req);
+
+  if (rejection) {
+    return sendRpcError(res, 403, -32000, `Forbidden: ${rejection}`);
+  }
+  if (url.pathname === '/mcp' && ['POST', 'GET', 'DELETE'].includes(req.method)) {
+    return handleStreamable(req, res);
+  }
+  if (url.pathname === '/sse' && req.method === 'GET') {
+    return handleSseStream(req, res);
+  }
+  if (url.pathname === '/messages' && req.method === 'POST') {
+    return handleSseMessage(req, res, url);
+  }
+  if (url.pathname === '/health' && req.method === 'GET') {
+    return sendJSON(res, 200, {
+      status: 'ok',
+      sessions: streamableSessions.size + sseSessions.size,
+    });
+  }
+
+  sendJSON(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Starts the HTTP transport
+ * @param {Object} options - Listen options
+ * @param {string} options.host - Interface to bind
+ * @param {number} options.port - Port to listen on
+ * @param {Array<string>} [options.origins] - Origins allowed besides the bind address host names
+ * @returns {Promise<import('node:http').Server>}
+ */
+export async function startHttpServer({ host, port, origins = [] }) {
+  allowedHostnames = hostnamesFor(host);
+  allowedOrigins = origins;
+
+  const httpServer = createHttpServer((req, res) => {
+    route(req, res).catch((error) => {
+      const invalidBody = error instanceof SyntaxError || error.message === 'Request body too large';
+
+      if (!invalidBody) {
+        console.error('HTTP transport error:', error);
+      }
+
+      if (res.headersSent) {
+        res.end();
+      } else if (invalidBody) {
+        sendRpcError(res, 400, -32700, `Invalid request body: ${error.message}`);
+      } else {
+        sendRpcError(res, 500, -32603, 'Internal error');
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const sweep = setInterval(closeIdleSessions, SWEEP_INTERVAL).unref();
+  httpServer.on('close', () => clearInterval(sweep));
+
+  return httpServer;
+}
+
+/**
+ * Closes every open session
+ * @returns {Promise<void>}
+ */
+export async function closeSessions() {
+  const sessions = [...streamableSessions.values(), ...sseSessions.values()];
+  await Promise.allSettled(sessions.map(({ transport }) => transport.close()));
+}
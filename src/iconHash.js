@@ -0,0 +1,193 @@
+/**
+ * Icon similarity
+ * Fetches a 16x16 PNG thumbnail of a store icon (both stores' image CDNs resize on request)
+ * and reduces it to a 64-bit average hash: two renderings of the same icon differ by a few bits
+ */
+
+import { inflateSync } from 'node:zlib';
+
+import { fetchResponse } from './httpClient.js';
+
+const HASH_SIZE = 8;
+const MAX_HASHES = 500;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Channels per pixel of each PNG color type
+ */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Hashes by thumbnail URL, oldest first
+ */
+const hashes = new Map();
+
+/**
+ * URL of a small PNG rendering of an icon
+ * @param {string} url - Icon URL from the App Store (mzstatic) or Google Play (googleusercontent)
+ * @returns {string|null} null for other hosts
+ */
+export function thumbnailUrl(url) {
+  if (/\.mzstatic\.com\//.test(url) && /\/\d+x\d+[a-z]*\.(jpg|png|webp)$/.test(url)) {
+    return url.replace(/\/\d+x\d+[a-z]*\.(jpg|png|webp)$/, '/16x16bb.png');
+  }
+  if (/\.(googleusercontent|ggpht)\.com\//.test(url)) {
+    return `${url.split('=')[0]}=s16-rp`;
+  }
+  return null;
+}
+
+/**
+ * Reverses the PNG scanline filters
+ */
+function unfilter(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const line = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = pixels.subarray(y * stride, (y + 1) * stride);
+    const previous = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+      const up = previous[x];
+      const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      let predictor = 0;
+
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = (left + up) >> 1;
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const [distLeft, distUp, distUpLeft] = [left, up, upLeft].map(value => Math.abs(estimate - value));
+        predictor = distLeft <= distUp && distLeft <= distUpLeft ? left : distUp <= distUpLeft ? up : upLeft;
+      }
+
+      row[x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Decodes an 8-bit, non-interlaced PNG to grayscale, transparent pixels blended on white
+ * @param {Buffer} buffer - PNG file
+ * @returns {Object|null} { width, height, gray }, null for other images
+ */
+export function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return null;
+  }
+
+  let header = null;
+  let palette = null;
+  const chunks = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), depth: data[8], colorType: data[9], interlace: data[12] };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  const channels = header && CHANNELS[header.colorType];
+  if (!channels || header.depth !== 8 || header.interlace !== 0 || (header.colorType === 3 && !palette)) {
+    return null;
+  }
+
+  const { width, height, colorType } = header;
+  const pixels = unfilter(inflateSync(Buffer.concat(chunks)), width, height, channels);
+  const gray = new Float64Array(width * height);
+
+  for (let index = 0; index < width * height; index++) {
+    const pixel = pixels.subarray(index * channels, (index + 1) * channels);
+    const [red, green, blue] = colorType === 3
+      ? palette.subarray(pixel[0] * 3, pixel[0] * 3 + 3)
+      : channels >= 3 ? pixel : [pixel[0], pixel[0], pixel[0]];
+    const alpha = colorType === 4 ? pixel[1] : colorType === 6 ? pixel[3] : 255;
+
+    const luminance = 0.299 * red + 0.587 * green + 0.114 * blue;
+    gray[index] = (luminance * alpha + 255 * (255 - alpha)) / 255;
+  }
+
+  return { width, height, gray };
+}
+
+/**
+ * Average hash of a grayscale image: one bit per cell of an 8x8 grid, set when brighter than the mean
+ * @param {Object} image - { width, height, gray }
+ * @returns {Array<number>} 64 bits
+ */
+export function averageHash({ width, height, gray }) {
+  const cells = new Float64Array(HASH_SIZE * HASH_SIZE);
+  const counts = new Float64Array(HASH_SIZE * HASH_SIZE);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cell = Math.floor(y * HASH_SIZE / height) * HASH_SIZE + Math.floor(x * HASH_SIZE / width);
+      cells[cell] += gray[y * width + x];
+      counts[cell] += 1;
+    }
+  }
+
+  const averages = Array.from(cells, (sum, cell) => sum / (counts[cell] || 1));
+  const mean = averages.reduce((total, value) => total + value, 0) / averages.length;
+  return averages.map(value => (value > mean ? 1 : 0));
+}
+
+/**
+ * Similarity of two hashes, from 0 (opposite) to 1 (identical)
+ */
+export function hashSimilarity(first, second) {
+  const differing = first.filter((bit, index) => bit !== second[index]).length;
+  return 1 - differing / first.length;
+}
+
+/**
+ * Fetches an icon and hashes it
+ * @param {string} url - Icon URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array<number>|null>} Hash, null when the icon cannot be fetched or decoded
+ */
+export async function iconHash(url, { signal } = {}) {
+  const thumbnail = url && thumbnailUrl(url);
+
+  if (!thumbnail) {
+    return null;
+  }
+  if (hashes.has(thumbnail)) {
+    return hashes.get(thumbnail);
+  }
+
+  try {
+    const response = await fetchResponse(thumbnail, { signal });
+    const image = decodePng(Buffer.from(await response.arrayBuffer()));
+    const hash = image ? averageHash(image) : null;
+
+    hashes.set(thumbnail, hash);
+    if (hashes.size > MAX_HASHES) {
+      hashes.delete(hashes.keys().next().value);
+    }
+    return hash;
+  } catch (error) {
+    signal?.throwIfAborted();
+    return null;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Library entry point
+ * Exposes every tool as a function returning the parsed result, without starting a server:
+ *
+ *   import { appStore, googlePlay, StoreError, ErrorCode } from 'store-scraper-mcp';
+ *
+ *   const app = await appStore.app({ id: 553834731 });
+ *   const { data } = await googlePlay.reviews({ appId: 'com.spotify.music', sort: 2 });
+ *
+ * Functions take the same arguments as the MCP tools (defaults, validation, fields,
+ * exclude, maxItems...), share their cache and rate limits, and throw StoreError.
+ * The MCP server factory is available from 'store-scraper-mcp/mcp'.
+ *
+ * Importing reads the settings file, environment variables and proxy settings once,
+ * and throws when they are invalid.
+ */
+
+import { getTool, runTool } from './tools/registry.js';
+import { StoreError, ErrorCode } from './errors.js';
+import { findMatches } from './matcher.js';
+
+export { StoreError, ErrorCode };
+export { ValidationError } from './tools/validate.js';
+export { clearCache } from './cache.js';
+export { configureRateLimit } from './rateLimiter.js';
+export { resolveStoreUrl } from './storeUrl.js';
+export { toUnifiedApp } from './parsers/unifiedApp.js';
+
+/**
+ * Runs a tool by name
+ * @param {string} name - Tool name, e.g. 'app' or 'gp_reviews'
+ * @param {Object} [args] - Tool arguments
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the underlying requests
+ * @returns {Promise<Object>} Parsed result
+ * @throws {StoreError} Typed error, e.g. INVALID_ARGUMENT or NOT_FOUND
+ */
+export async function run(name, args = {}, { signal } = {}) {
+  const tool = getTool(name);
+
+  if (!tool) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Unknown tool: ${name}`);
+  }
+
+  return runTool(tool, args, signal);
+}
+
+/**
+ * Finds the versions of an app in the other store, ranked by confidence
+ * @param {Object} app - App as returned by appStore.app (or googlePlay.app with `store: 'googleplay'`)
+ * @param {Object} [options] - { store, country, lang, num, icons, signal }, see matcher.js
+ * @returns {Promise<Object>} { source, matches }
+ */
+export function matchApp(app, options = {}) {
+  return findMatches(app, options, { getTool, runTool });
+}
+
+/**
+ * Binds a tool to a library function
+ */
+function bind(name) {
+  return (args, options) => run(name, args, options);
+}
+
+/**
+ * App Store (iTunes) functions
+ */
+export const appStore = {
+  app: bind('app'),
+  apps: bind('apps'),
+  search: bind('search'),
+  list: bind('list'),
+  reviews: bind('reviews'),
+  ratings: bind('ratings'),
+  developer: bind('developer'),
+  similar: bind('similar'),
+  privacy: bind('privacy'),
+  versionHistory: bind('versionHistory'),
+  suggest: bind('suggest'),
+};
+
+/**
+ * Google Play functions
+ */
+export const googlePlay = {
+  app: bind('gp_app'),
+  search: bind('gp_search'),
+  list: bind('gp_list'),
+  reviews: bind('gp_reviews'),
+  developer: bind('gp_developer'),
+  similar: bind('gp_similar'),
+  permissions: bind('gp_permissions'),
+  dataSafety: bind('gp_datasafety'),
+  categories: bind('gp_categories'),
+  suggest: bind('gp_suggest'),
+};
@@ -0,0 +1,294 @@
+/**
+ * Cross-store app matching
+ * Finds the Google Play version of an App Store app, or the reverse, by searching the other
+ * store for the title (plus the apps of a matching developer) and scoring each candidate by
+ * title, developer name, website domain and icon similarity
+ */
+
+import { StoreError, ErrorCode } from './errors.js';
+import { iconHash, hashSimilarity } from './iconHash.js';
+import { toUnifiedApp } from './parsers/unifiedApp.js';
+
+/**
+ * Weight of each signal in the confidence; signals that cannot be computed are left out
+ */
+const WEIGHTS = {
+  title: 0.4,
+  developer: 0.25,
+  domain: 0.2,
+  icon: 0.15,
+};
+
+const SEARCH_RESULTS = 20;
+const DETAILED_CANDIDATES = 5;
+const SAME_DEVELOPER = 0.8;
+
+/**
+ * Tools used to search and fetch each store
+ */
+const STORE_TOOLS = {
+  appstore: { search: 'search', developer: 'developer', details: 'app' },
+  googleplay: { search: 'gp_search', developer: 'gp_developer', details: 'gp_app' },
+};
+
+/**
+ * Separators between an app name and its subtitle, e.g. "Spotify: Music and Podcasts"
+ */
+const SUBTITLE = /\s+[-–—|:]\s+|:\s+|\s*[([]/;
+
+/**
+ * Company name suffixes ignored when comparing developers
+ */
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'ag', 'ab', 'as', 'oy',
+  'sa', 'sas', 'sarl', 'srl', 'spa', 'sl', 'bv', 'nv', 'plc', 'pty', 'kk', 'lp', 'llp',
+]);
+
+/**
+ * Hosting domains shared by unrelated developers, compared by full host name
+ */
+const SHARED_HOSTS = new Set([
+  'github.io', 'google.com', 'blogspot.com', 'wordpress.com', 'wixsite.com', 'weebly.com',
+  'firebaseapp.com', 'web.app', 'notion.site', 'carrd.co', 'facebook.com', 'apple.com',
+]);
+
+/**
+ * Lower-cases and strips accents and punctuation
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Dice coefficient of the character bigrams of two strings, from 0 to 1
+ */
+function dice(first, second) {
+  if (!first || !second) {
+    return 0;
+  }
+  if (first === second) {
+    return 1;
+  }
+
+  const bigrams = new Map();
+  for (let index = 0; index < first.length - 1; index++) {
+    const bigram = first.slice(index, index + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let index = 0; index < second.length - 1; index++) {
+    const bigram = second.slice(index, index + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (first.length + second.length - 2);
+}
+
+/**
+ * Similarity of two titles: full titles, or names without subtitles when that is higher
+ */
+function titleSimilarity(first, second) {
+  const name = title => normalizeText(String(title || '').split(SUBTITLE)[0]);
+  return Math.max(dice(normalizeText(first), normalizeText(second)), dice(name(first), name(second)));
+}
+
+/**
+ * Similarity of two developer names, ignoring legal suffixes
+ * @returns {number|null} null when a name is missing
+ */
+function developerSimilarity(first, second) {
+  const name = text => normalizeText(text).split(' ').filter(word => !LEGAL_SUFFIXES.has(word)).join(' ');
+
+  if (!name(first) || !name(second)) {
+    return null;
+  }
+  return dice(name(first), name(second));
+}
+
+/**
+ * Registrable domain of a website, e.g. "spotify.com" for https://www.spotify.com/us/
+ * (full host name on shared hosting domains)
+ * @returns {string|null}
+ */
+function siteDomain(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+
+  const labels = hostname.split('.');
+  const secondLevel = labels.length >= 3 && labels.at(-1).length === 2 && /^(co|com|net|org|gov|ac|edu)$/.test(labels.at(-2));
+  const domain = labels.slice(secondLevel ? -3 : -2).join('.');
+
+  return SHARED_HOSTS.has(domain) ? hostname : domain;
+}
+
+/**
+ * Reduces an app of either store to the fields used for matching
+ * @param {Object} app - App as returned by the app / gp_app tools (or their search and developer lists)
+ * @param {string} store - appstore or googleplay
+ * @returns {Object} { store, id, title, developer, developerId, website, icon, url }
+ */
+export function describeApp(app, store) {
+  const { id, title, developer, media, url } = toUnifiedApp(app, store);
+
+  return {
+    store,
+    id,
+    title,
+    developer: developer.name,
+    developerId: developer.id,
+    website: developer.website,
+    icon: media.icon,
+    url,
+  };
+}
+
+/**
+ * Scores a candidate against the source app
+ * @param {Object} source - Source app, see describeApp
+ * @param {Object} candidate - Candidate app, see describeApp
+ * @param {Map<string, Array<number>>} [hashes] - Icon hashes by icon URL
+ * @returns {Object} { confidence, signals }: confidence from 0 to 1, signals null when unavailable
+ */
+export function scoreMatch(source, candidate, hashes = new Map()) {
+  const sourceDomain = source.website && siteDomain(source.website);
+  const candidateDomain = candidate.website && siteDomain(candidate.website);
+  const sourceHash = hashes.get(source.icon);
+  const candidateHash = hashes.get(candidate.icon);
+
+  const signals = {
+    title: titleSimilarity(source.title, candidate.title),
+    developer: developerSimilarity(source.developer, candidate.developer),
+    domain: sourceDomain && candidateDomain ? Number(sourceDomain === candidateDomain) : null,
+    icon: sourceHash && candidateHash ? hashSimilarity(sourceHash, candidateHash) : null,
+  };
+
+  let total = 0;
+  let weights = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value !== null) {
+      signals[signal] = Math.round(value * 100) / 100;
+      total += WEIGHTS[signal] * value;
+      weights += WEIGHTS[signal];
+    }
+  }
+
+  return { confidence: Math.round((total / weights) * 100) / 100, signals };
+}
+
+/**
+ * Runs a tool of the matcher, passing only the arguments it accepts
+ */
+function runStoreTool(name, args, { signal, getTool, runTool }) {
+  const tool = getTool(name);
+
+  if (!tool) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Tool ${name} is disabled, it is needed to match apps`);
+  }
+
+  const toolArgs = Object.fromEntries(Object.entries(args).filter(([key, value]) =>
+    value !== undefined && key in tool.inputSchema.properties
+  ));
+  return runTool(tool, toolArgs, signal);
+}
+
+/**
+ * Runs an optional step: failures leave the candidates as they are, cancellation still stops
+ */
+async function optional(promise, signal) {
+  try {
+    return await promise;
+  } catch (error) {
+    signal?.throwIfAborted();
+    return null;
+  }
+}
+
+/**
+ * Finds the versions of an app in the other store
+ * @param {Object} app - Source app as returned by the app (App Store) or gp_app (Google Play) tool
+ * @param {Object} [options]
+ * @param {string} [options.store] - Store of the source app: appstore (default) or googleplay
+ * @param {string} [options.country] - Storefront country searched
+ * @param {string} [options.lang] - Language of the Google Play data
+ * @param {number} [options.num] - Number of matches returned (default: 5)
+ * @param {boolean} [options.icons] - Compare icons, which fetches one thumbnail per candidate (default: true)
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @param {Object} context - { getTool, runTool } of the tool registry
+ * @returns {Promise<Object>} { source, matches }, matches ranked by confidence
+ * @throws {StoreError} When the other store cannot be searched
+ */
+export async function findMatches(app, options, { getTool, runTool }) {
+  const { store = 'appstore', country, lang, num = 5, icons = true, signal } = options;
+  const targetStore = store === 'appstore' ? 'googleplay' : 'appstore';
+  const tools = STORE_TOOLS[targetStore];
+  const context = { signal, getTool, runTool };
+  const source = describeApp(app, store);
+  const candidates = new Map();
+
+  const addCandidates = (apps = []) => {
+    for (const candidate of apps.map(entry => describeApp(entry, targetStore))) {
+      if (candidate.id !== null && !candidates.has(candidate.id)) {
+        candidates.set(candidate.id, candidate);
+      }
+    }
+  };
+
+  const term = String(source.title || '').split(SUBTITLE)[0].trim();
+  const { results } = await runStoreTool(tools.search, { term, num: SEARCH_RESULTS, country, lang }, context);
+  addCandidates(results);
+
+  // The same developer's other apps catch versions with a different title
+  const developer = [...candidates.values()].find(candidate =>
+    candidate.developerId && developerSimilarity(source.developer, candidate.developer) >= SAME_DEVELOPER
+  );
+  if (developer && getTool(tools.developer)) {
+    const result = await optional(runStoreTool(tools.developer, { devId: developer.developerId, country, lang }, context), signal);
+    addCandidates(result?.apps);
+  }
+
+  const ranked = [...candidates.values()]
+    .map(candidate => ({ candidate, score: scoreMatch(source, candidate).confidence }))
+    .sort((first, second) => second.score - first.score)
+    .slice(0, Math.max(num, DETAILED_CANDIDATES))
+    .map(({ candidate }) => candidate);
+
+  // Google Play lists have no website, the details page has
+  const detailed = targetStore === 'googleplay' && getTool(tools.details)
+    ? await Promise.all(ranked.map(async (candidate) => {
+      const details = await optional(runStoreTool(tools.details, { appId: candidate.id, country, lang }, context), signal);
+      const known = Object.entries(details ? describeApp(details, targetStore) : {}).filter(([, value]) => value !== null);
+      return { ...candidate, ...Object.fromEntries(known), id: candidate.id };
+    }))
+    : ranked;
+
+  const hashes = new Map();
+  if (icons) {
+    const urls = [...new Set([source.icon, ...detailed.map(candidate => candidate.icon)].filter(Boolean))];
+    const results = await Promise.all(urls.map(url => iconHash(url, { signal })));
+    urls.forEach((url, index) => hashes.set(url, results[index]));
+  }
+
+  const matches = detailed
+    .map(candidate => ({ ...candidate, ...scoreMatch(source, candidate, hashes) }))
+    .sort((first, second) => second.confidence - first.confidence)
+    .slice(0, num);
+
+  return {
+    source: { store: source.store, id: source.id, title: source.title, developer: source.developer },
+    matches,
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * MCP server factory
+ * Registers the tool, resource and prompt handlers on a new Server instance.
+ * Each transport connection needs its own instance; caches, rate limits and
+ * recently fetched resources are module state shared by all of them.
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode as McpErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+
+import { listTools, callTool } from './tools/registry.js';
+import { listResources, listResourceTemplates, readResource } from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { ErrorCode, toStoreError } from './errors.js';
+
+/**
+ * Converts an error to an MCP protocol error carrying the typed error code
+ */
+function toMcpError(error) {
+  const storeError = toStoreError(error);
+  const code = storeError.code === ErrorCode.INVALID_ARGUMENT
+    ? McpErrorCode.InvalidParams
+    : McpErrorCode.InternalError;
+  return new McpError(code, `${storeError.code}: ${storeError.message}`, storeError.toJSON());
+}
+
+/**
+ * Creates an MCP server with every handler registered
+ * @returns {Server}
+ */
+export function createServer() {
+  const server = new Server(
+    {
+      name: 'store-scraper-mcp',
+      version: '2.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+
+  // Register tool handlers
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: listTools(),
+    };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    return await callTool(name, args, extra.signal);
+  });
+
+  // Register resource handlers
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return {
+      resources: listResources(),
+    };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: listResourceTemplates(),
+    };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    try {
+      return await readResource(request.params.uri, extra.signal);
+    } catch (error) {
+      throw toMcpError(error);
+    }
+  });
+
+  // Register prompt handlers
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: listPrompts(),
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    try {
+      return getPrompt(request.params.name, request.params.arguments);
+    } catch (error) {
+      throw toMcpError(error);
+    }
+  });
+
+  return server;
+}
@@ -31,6 +31,7 @@ export function parseApp(data) {
       id: app.artistId || null,
       name: app.artistName || null,
       url: app.artistViewUrl || null,
+      website: app.sellerUrl || null,
     },
     category: {
       id: app.primaryGenreId || null,
@@ -26,6 +26,7 @@ export function parseApp(html) {
             description: jsonLd.description || null,
             url: jsonLd.url || null,
             icon: jsonLd.image || null,
+            developerWebsite: jsonLd.author?.url || null,
             aggregateRating: jsonLd.aggregateRating || null,
             offers: jsonLd.offers || null,
           };
@@ -210,7 +211,7 @@ export function parseApp(html) {
       developer: developer,
       developerId: developerId,
       developerEmail: null, // Not easily extractable from public page
-      developerWebsite: null,
+      developerWebsite: appData.developerWebsite || null,
       developerAddress: null,
       icon: icon,
       headerImage: null,
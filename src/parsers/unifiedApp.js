@@ -0,0 +1,171 @@
+/**
+ * Unified cross-store app model
+ * Maps the App Store and Google Play app objects to one shape, so apps of both stores
+ * can be compared without per-store code. Fields a store does not provide are null
+ * (or empty arrays); store-specific fields are kept under `appstore` or `googleplay`.
+ */
+
+const SIZE_UNITS = { k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parses a size like "25M" or "1.2 GB" to bytes
+ */
+function parseSize(text) {
+  const match = String(text || '').trim().match(/^([\d.,]+)\s*([kmg])b?$/i);
+  return match ? Math.round(parseFloat(match[1].replace(',', '.')) * SIZE_UNITS[match[2].toLowerCase()]) : null;
+}
+
+/**
+ * Maps an App Store app (parsers/appStore/app.js)
+ */
+function fromAppStore(app) {
+  const sizeBytes = parseInt(app.fileSizeBytes, 10);
+
+  return {
+    store: 'appstore',
+    id: app.id ?? null,
+    bundleId: app.appId ?? null,
+    title: app.title ?? null,
+    summary: null,
+    description: app.description ?? null,
+    url: app.url ?? null,
+    category: {
+      id: app.category?.id ?? null,
+      name: app.category?.name ?? null,
+    },
+    version: app.version ?? null,
+    releaseNotes: app.releaseNotes ?? null,
+    released: app.releaseDate ?? null,
+    updated: app.currentVersionReleaseDate ?? null,
+    pricing: {
+      free: app.free ?? null,
+      price: app.price ?? null,
+      currency: app.currency ?? null,
+      priceText: app.formattedPrice ?? null,
+      inAppPurchases: null,
+      adSupported: null,
+    },
+    rating: {
+      average: app.rating?.average ?? null,
+      count: app.rating?.count ?? null,
+    },
+    developer: {
+      id: app.developer?.id ?? null,
+      name: app.developer?.name ?? null,
+      url: app.developer?.url ?? null,
+      website: app.developer?.website ?? null,
+      email: null,
+    },
+    media: {
+      icon: app.artwork?.icon ?? null,
+      screenshots: app.screenshotUrls ?? [],
+      video: null,
+    },
+    compatibility: {
+      platform: 'ios',
+      minOsVersion: app.minimumOsVersion ?? null,
+      devices: app.supportedDevices ?? [],
+      languages: app.languageCodesISO2A ?? [],
+      sizeBytes: Number.isNaN(sizeBytes) ? null : sizeBytes,
+    },
+    contentRating: {
+      label: app.contentAdvisoryRating ?? null,
+      descriptors: app.advisories ?? [],
+    },
+    appstore: {
+      genres: app.category?.genres ?? [],
+      ipadScreenshotUrls: app.ipadScreenshotUrls ?? [],
+      appletvScreenshotUrls: app.appletvScreenshotUrls ?? [],
+      artwork: app.artwork ?? null,
+      sellerName: app.sellerName ?? null,
+      features: app.features ?? [],
+      isGameCenterEnabled: app.isGameCenterEnabled ?? false,
+      kind: app.kind ?? null,
+      averageUserRatingForCurrentVersion: app.averageUserRatingForCurrentVersion ?? null,
+      userRatingCountForCurrentVersion: app.userRatingCountForCurrentVersion ?? null,
+    },
+  };
+}
+
+/**
+ * Maps a Google Play app (parsers/googlePlay/app.js, or an entry of a Google Play list)
+ */
+function fromGooglePlay(app) {
+  return {
+    store: 'googleplay',
+    id: app.appId ?? null,
+    bundleId: app.appId ?? null,
+    title: app.title ?? null,
+    summary: app.summary ?? null,
+    description: app.description ?? null,
+    url: app.url ?? null,
+    category: {
+      id: app.categoryId ?? null,
+      name: app.category ?? null,
+    },
+    version: app.version ?? null,
+    releaseNotes: app.recentChanges ?? null,
+    released: null,
+    updated: app.updated ?? null,
+    pricing: {
+      free: app.free ?? null,
+      price: app.price ?? null,
+      currency: app.currency ?? null,
+      priceText: app.priceText ?? null,
+      inAppPurchases: app.inAppPurchases ?? null,
+      adSupported: app.adSupported ?? null,
+    },
+    rating: {
+      average: app.score ?? null,
+      count: app.ratings ?? null,
+    },
+    developer: {
+      id: app.developerId ?? null,
+      name: app.developer ?? null,
+      url: app.developerId ? `https://play.google.com/store/apps/developer?id=${app.developerId}` : null,
+      website: app.developerWebsite ?? null,
+      email: app.developerEmail ?? null,
+    },
+    media: {
+      icon: app.icon ?? null,
+      screenshots: app.screenshots ?? [],
+      video: app.video ?? null,
+    },
+    compatibility: {
+      platform: 'android',
+      minOsVersion: app.androidVersion ?? null,
+      devices: [],
+      languages: [],
+      sizeBytes: parseSize(app.size),
+    },
+    contentRating: {
+      label: app.contentRating ?? null,
+      descriptors: app.contentRatingDescription ? [app.contentRatingDescription] : [],
+    },
+    googleplay: {
+      scoreText: app.scoreText ?? null,
+      reviews: app.reviews ?? null,
+      installs: app.installs ?? null,
+      minInstalls: app.minInstalls ?? null,
+      maxInstalls: app.maxInstalls ?? null,
+      size: app.size ?? null,
+      androidVersionText: app.androidVersionText ?? null,
+      developerAddress: app.developerAddress ?? null,
+      headerImage: app.headerImage ?? null,
+      videoImage: app.videoImage ?? null,
+      editorsChoice: app.editorsChoice ?? false,
+    },
+  };
+}
+
+/**
+ * Maps an app of either store to the unified model
+ * @param {Object} app - App as returned by the app or gp_app tool
+ * @param {string} store - appstore or googleplay
+ * @returns {Object} { store, id, bundleId, title, summary, description, url, category, version,
+ *   releaseNotes, released, updated, pricing, rating, developer, media, compatibility,
+ *   contentRating, appstore | googleplay }
+ */
+export function toUnifiedApp(app, store) {
+  return store === 'appstore' ? fromAppStore(app) : fromGooglePlay(app);
+}
@@ -0,0 +1,258 @@
+/**
+ * MCP prompts for common store-research workflows
+ * Each prompt expands into step-by-step instructions naming the tools to call
+ * and the exact arguments to pass, so analysts don't have to retype them
+ */
+
+import { StoreError, ErrorCode } from './errors.js';
+import { config } from './config.js';
+import { STORES } from './storeUrl.js';
+
+const STORE_NAMES = {
+  appstore: 'the App Store',
+  googleplay: 'Google Play',
+};
+
+/**
+ * Resolves the store of an app: explicit `store` argument,
+ * otherwise numeric IDs are iTunes trackIds and anything else a Google Play package
+ */
+function storeOf(appId, store) {
+  if (store) {
+    return store;
+  }
+  return /^\d+$/.test(appId) ? 'appstore' : 'googleplay';
+}
+
+/**
+ * Tool arguments identifying an app in its store
+ */
+function appArgs(appId, store) {
+  if (store === 'appstore') {
+    return /^\d+$/.test(appId) ? { id: Number(appId) } : { appId };
+  }
+  return { appId };
+}
+
+/**
+ * Splits a comma-separated argument
+ */
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Renders a tool call as it should be made by the client
+ */
+function call(tool, args) {
+  return `\`${tool}\` with ${JSON.stringify(args)}`;
+}
+
+/**
+ * Tool names per store for the calls the prompts rely on
+ */
+const TOOLS = {
+  appstore: { app: 'app', reviews: 'reviews', ratings: 'ratings', similar: 'similar', search: 'search', suggest: 'suggest' },
+  googleplay: { app: 'gp_app', reviews: 'gp_reviews', similar: 'gp_similar', search: 'gp_search', suggest: 'gp_suggest' },
+};
+
+/**
+ * Optional arguments shared by every single-app prompt
+ */
+const STORE_ARGUMENTS = [
+  {
+    name: 'store',
+    description: 'appstore or googleplay (default: numeric IDs are App Store, anything else Google Play)',
+    required: false,
+  },
+  {
+    name: 'country',
+    description: `Two-letter country code (default: ${config.defaults.country})`,
+    required: false,
+  },
+];
+
+/**
+ * Prompt definitions: MCP metadata plus a render(args) returning the prompt text
+ */
+const PROMPTS = [
+  {
+    name: 'competitor-analysis',
+    description: 'Compare an app against its competitors on metadata, ratings and recent reviews',
+    arguments: [
+      { name: 'appId', description: 'iTunes trackId, bundle ID or Google Play package of the app', required: true },
+      { name: 'competitors', description: 'Comma-separated IDs of competing apps in the same store (default: similar apps)', required: false },
+      ...STORE_ARGUMENTS,
+    ],
+    render: ({ appId, competitors, store, country }) => {
+      const tools = TOOLS[store];
+      const rivals = splitList(competitors);
+      const steps = [
+        `Fetch the app with ${call(tools.app, { ...appArgs(appId, store), country })}.`,
+        rivals.length > 0
+          ? `Fetch each competitor with \`${tools.app}\`: ${rivals.map(rival => call(tools.app, { ...appArgs(rival, store), country })).join(', ')}.`
+          : `Find competitors with ${call(tools.similar, { ...appArgs(appId, store), country })} and fetch the top 5 with \`${tools.app}\`.`,
+        `For the app and each competitor, read the first page of the most recent reviews with \`${tools.reviews}\` (country "${country}").`,
+      ];
+
+      if (tools.ratings) {
+        steps.push(`Get the rating histograms with \`${tools.ratings}\` for the app and each competitor.`);
+      }
+
+      return [
+        `Run a competitor analysis for ${appId} in ${STORE_NAMES[store]} (${country}).`,
+        '',
+        ...steps.map((step, index) => `${index + 1}. ${step}`),
+        '',
+        'Then produce a comparison table (price, rating, rating count, last update, size, content rating) followed by ' +
+          'the strengths and weaknesses of the app relative to each competitor, the features users praise or miss in ' +
+          'competitor reviews, and three concrete recommendations.',
+      ].join('\n');
+    },
+  },
+  {
+    name: 'review-triage',
+    description: 'Triage recent reviews of an app, optionally for one version, into bugs, feature requests and praise',
+    arguments: [
+      { name: 'appId', description: 'iTunes trackId, bundle ID or Google Play package of the app', required: true },
+      { name: 'version', description: 'App version to focus on (default: all recent reviews)', required: false },
+      ...STORE_ARGUMENTS,
+    ],
+    render: ({ appId, version, store, country }) => {
+      const tools = TOOLS[store];
+      const args = appArgs(appId, store);
+      const sort = store === 'appstore' ? 'mostRecent' : 0;
+      const scope = version ? `reviews of version ${version}` : 'recent reviews';
+
+      return [
+        `Triage the ${scope} of ${appId} in ${STORE_NAMES[store]} (${country}).`,
+        '',
+        `1. Fetch the app with ${call(tools.app, { ...args, country })} to get the current version and release notes.`,
+        `2. Fetch the newest reviews with ${call(tools.reviews, { ...args, country, sort, page: store === 'appstore' ? 1 : 0 })}, ` +
+          'then the following pages until you have at least 100 reviews' +
+          (version ? ` or reach reviews older than version ${version}.` : '.'),
+        version
+          ? `3. Keep only reviews whose \`version\` is ${version}.`
+          : '3. Group the reviews by `version`.',
+        '4. Classify each review as bug, crash, performance, UX, feature request, pricing, praise or other.',
+        '',
+        'Report a table of categories with counts and average score, the top issues with representative quotes and ' +
+          'review IDs, regressions compared to earlier versions, and which issues the release notes claim to address.',
+      ].join('\n');
+    },
+  },
+  {
+    name: 'aso-audit',
+    description: 'Audit the store listing of an app for App Store Optimization',
+    arguments: [
+      { name: 'appId', description: 'iTunes trackId, bundle ID or Google Play package of the app', required: true },
+      { name: 'keywords', description: 'Comma-separated target keywords (default: derived from the listing)', required: false },
+      ...STORE_ARGUMENTS,
+    ],
+    render: ({ appId, keywords, store, country }) => {
+      const tools = TOOLS[store];
+      const terms = splitList(keywords);
+      const keywordStep = terms.length > 0
+        ? `For each keyword (${terms.join(', ')}), check the ranking of the app with \`${tools.search}\` ` +
+          `(e.g. ${call(tools.search, { term: terms[0], country })}) and related queries with \`${tools.suggest}\`.`
+        : `Derive 5 target keywords from the title and description, then check the ranking of the app for each with ` +
+          `\`${tools.search}\` (country "${country}") and related queries with \`${tools.suggest}\`.`;
+
+      return [
+        `Run an ASO audit of ${appId} in ${STORE_NAMES[store]} (${country}).`,
+        '',
+        `1. Fetch the listing with ${call(tools.app, { ...appArgs(appId, store), country })}.`,
+        `2. ${keywordStep}`,
+        `3. Fetch the top competitors with ${call(tools.similar, { ...appArgs(appId, store), country })}.`,
+        `4. Read the most helpful reviews with \`${tools.reviews}\` to find the words users use to describe the app.`,
+        '',
+        'Score title, subtitle/short description, description, screenshots, ratings and update frequency from 1 to 5, ' +
+          'list the keywords the app ranks for and misses, and give prioritized recommendations with proposed copy.',
+      ].join('\n');
+    },
+  },
+  {
+    name: 'privacy-compare',
+    description: 'Compare the privacy labels / data safety sections of several apps, across both stores',
+    arguments: [
+      { name: 'apps', description: 'Comma-separated iTunes trackIds and/or Google Play packages', required: true },
+      { name: 'store', description: 'appstore or googleplay to force the store of every app (default: inferred per app)', required: false },
+    ],
+    render: ({ apps, store }) => {
+      const calls = splitList(apps).map(appId => {
+        if (storeOf(appId, store) === 'googleplay') {
+          return `- ${appId}: ${call('gp_datasafety', { appId })}`;
+        }
+        return /^\d+$/.test(appId)
+          ? `- ${appId}: ${call('privacy', { id: Number(appId) })}`
+          : `- ${appId}: ${call('app', { appId })} to get its trackId, then \`privacy\` with that id`;
+      });
+
+      return [
+        'Compare the privacy practices of these apps. Fetch the privacy details of each one:',
+        '',
+        ...calls,
+        '',
+        'Build a table with one row per data type (location, contacts, identifiers, usage data, financial info, ...) ' +
+          'and one column per app, marking whether it is collected, shared, linked to the user or used for tracking. ' +
+          'Then highlight the most and least privacy-friendly app, data shared with third parties, and whether data ' +
+          'can be deleted or is encrypted in transit (Google Play only).',
+      ].join('\n');
+    },
+  },
+];
+
+/**
+ * Lists the prompts as advertised to MCP clients
+ * @returns {Array<Object>}
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({
+    name,
+    description,
+    arguments: args,
+  }));
+}
+
+/**
+ * Expands a prompt with its arguments
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Prompt arguments (strings)
+ * @returns {Object} MCP prompt result
+ * @throws {StoreError} INVALID_ARGUMENT when the prompt is unknown or arguments are invalid
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+
+  if (!prompt) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]?.trim());
+  if (missing.length > 0) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Missing prompt arguments: ${missing.map(arg => arg.name).join(', ')}`);
+  }
+
+  if (args.store && !STORES.includes(args.store)) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Invalid store "${args.store}", expected one of: ${STORES.join(', ')}`);
+  }
+
+  const values = { ...args, country: (args.country || config.defaults.country).toLowerCase() };
+  if (values.appId) {
+    values.appId = values.appId.trim();
+    values.store = storeOf(values.appId, args.store);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: prompt.render(values),
+        },
+      },
+    ],
+  };
+}
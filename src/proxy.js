@@ -0,0 +1,175 @@
+/**
+ * Proxy pool for outgoing store requests
+ * Supports HTTP, HTTPS and SOCKS proxies, per-request rotation, country pinning
+ * and temporary removal of unhealthy proxies
+ */
+
+import { readFileSync } from 'node:fs';
+import { ProxyAgent } from 'undici';
+import { socksDispatcher } from 'fetch-socks';
+
+const FAILURE_THRESHOLD = 2;
+const COOLDOWN = 60000; // 1 minute out of rotation
+
+/**
+ * Rotation strategies
+ * - round-robin: next healthy proxy on every request
+ * - random: random healthy proxy on every request
+ */
+const ROTATIONS = ['round-robin', 'random'];
+
+const pool = loadPool();
+let cursor = 0;
+
+/**
+ * Normalizes a proxy entry from env or config file
+ * @param {string|Object} entry - Proxy URL or { url, countries }
+ * @returns {Object}
+ */
+function toProxy(entry) {
+  const { url, countries = [] } = typeof entry === 'string' ? { url: entry } : entry;
+  const { protocol } = new URL(url);
+
+  if (!['http:', 'https:', 'socks:', 'socks4:', 'socks5:'].includes(protocol)) {
+    throw new Error(`Unsupported proxy protocol "${protocol}" in ${url}`);
+  }
+
+  return {
+    url,
+    countries: countries.map(country => country.toLowerCase()),
+    failures: 0,
+    disabledUntil: 0,
+    dispatcher: null,
+  };
+}
+
+/**
+ * Loads the proxy pool from STORE_SCRAPER_PROXY_FILE, STORE_SCRAPER_PROXY
+ * or the standard HTTPS_PROXY/HTTP_PROXY variables, in that order
+ *
+ * The config file is JSON:
+ * { "rotation": "round-robin", "proxies": ["http://host:8080", { "url": "socks5://host:1080", "countries": ["de"] }] }
+ * @returns {Object}
+ */
+function loadPool() {
+  const env = process.env;
+  let entries = [];
+  let rotation = env.STORE_SCRAPER_PROXY_ROTATION || 'round-robin';
+
+  if (env.STORE_SCRAPER_PROXY_FILE) {
+    const config = JSON.parse(readFileSync(env.STORE_SCRAPER_PROXY_FILE, 'utf8'));
+    entries = config.proxies || [];
+    rotation = config.rotation || rotation;
+  } else {
+    const list = env.STORE_SCRAPER_PROXY || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy;
+    entries = list ? list.split(',').map(url => url.trim()).filter(Boolean) : [];
+  }
+
+  if (!ROTATIONS.includes(rotation)) {
+    throw new Error(`Invalid proxy rotation "${rotation}", expected one of: ${ROTATIONS.join(', ')}`);
+  }
+
+  return {
+    rotation,
+    proxies: entries.map(toProxy),
+  };
+}
+
+/**
+ * Creates the undici dispatcher that routes requests through a proxy
+ */
+function createDispatcher(proxy) {
+  const parsed = new URL(proxy.url);
+
+  if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+    return new ProxyAgent(proxy.url);
+  }
+
+  return socksDispatcher({
+    type: parsed.protocol === 'socks4:' ? 4 : 5,
+    host: parsed.hostname,
+    port: parseInt(parsed.port, 10) || 1080,
+    userId: parsed.username ? decodeURIComponent(parsed.username) : undefined,
+    password: parsed.password ? decodeURIComponent(parsed.password) : undefined,
+  });
+}
+
+/**
+ * Whether any proxy is configured
+ * @returns {boolean}
+ */
+export function hasProxies() {
+  return pool.proxies.length > 0;
+}
+
+/**
+ * Whether requests for a country go out through proxies pinned to it
+ * @param {string} [country] - Storefront country of the request
+ * @returns {boolean}
+ */
+export function hasPinnedProxy(country) {
+  return Boolean(country) && pool.proxies.some(proxy => proxy.countries.includes(country.toLowerCase()));
+}
+
+/**
+ * Picks a proxy for a request
+ * Proxies pinned to the requested country are preferred, otherwise unpinned proxies are used.
+ * When every candidate is unhealthy, the one that recovers soonest is used.
+ * @param {Object} options - Selection options
+ * @param {string} [options.country] - Storefront country of the request
+ * @returns {Object|null} Proxy with its dispatcher, or null when no proxy is configured
+ */
+export function selectProxy({ country } = {}) {
+  if (!hasProxies()) {
+    return null;
+  }
+
+  const pinned = country
+    ? pool.proxies.filter(proxy => proxy.countries.includes(country.toLowerCase()))
+    : [];
+  const unpinned = pool.proxies.filter(proxy => proxy.countries.length === 0);
+  const candidates = pinned.length > 0 ? pinned : (unpinned.length > 0 ? unpinned : pool.proxies);
+
+  const now = Date.now();
+  const healthy = candidates.filter(proxy => proxy.disabledUntil <= now);
+
+  let proxy;
+  if (healthy.length === 0) {
+    proxy = candidates.reduce((best, candidate) => (candidate.disabledUntil < best.disabledUntil ? candidate : best));
+  } else if (pool.rotation === 'random') {
+    proxy = healthy[Math.floor(Math.random() * healthy.length)];
+  } else {
+    proxy = healthy[cursor % healthy.length];
+    cursor += 1;
+  }
+
+  if (!proxy.dispatcher) {
+    proxy.dispatcher = createDispatcher(proxy);
+  }
+
+  return proxy;
+}
+
+/**
+ * Records a failed request through a proxy, taking it out of rotation
+ * for a while after repeated failures
+ * @param {Object} proxy - Proxy returned by selectProxy
+ */
+export function markProxyFailure(proxy) {
+  proxy.failures += 1;
+
+  if (proxy.failures >= FAILURE_THRESHOLD) {
+    proxy.disabledUntil = Date.now() + COOLDOWN;
+    proxy.failures = 0;
+    console.error(`Proxy ${new URL(proxy.url).host} removed from rotation for ${COOLDOWN / 1000}s`);
+  }
+}
+
+/**
+ * Records a successful request through a proxy
+ * @param {Object} proxy - Proxy returned by selectProxy
+ */
+export function markProxySuccess(proxy) {
+  proxy.failures = 0;
+  proxy.disabledUntil = 0;
+}
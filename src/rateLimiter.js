@@ -0,0 +1,164 @@
+/**
+ * Per-host request scheduler
+ * Token bucket rate limiting plus a concurrency cap, shared by every request in the process
+ */
+
+import { StoreError, ErrorCode } from './errors.js';
+import { config } from './config.js';
+
+/**
+ * Default limits per host
+ */
+const DEFAULT_LIMITS = {
+  'itunes.apple.com': { requestsPerSecond: 3, maxConcurrency: 4 },
+  'apps.apple.com': { requestsPerSecond: 2, maxConcurrency: 2 },
+  'play.google.com': { requestsPerSecond: 2, maxConcurrency: 2 },
+  '*': { requestsPerSecond: 5, maxConcurrency: 4 },
+};
+
+const limits = {
+  ...DEFAULT_LIMITS,
+  ...Object.fromEntries(config.http.rateLimits.map(({ host, requestsPerSecond, maxConcurrency }) => [host, {
+    requestsPerSecond,
+    maxConcurrency: maxConcurrency ?? DEFAULT_LIMITS['*'].maxConcurrency,
+  }])),
+};
+
+/**
+ * Scheduler state per host
+ */
+const limiters = new Map();
+
+/**
+ * Overrides the limits for a host ("*" sets the fallback for unknown hosts)
+ * @param {string} host - Host name
+ * @param {Object} options - Limits
+ * @param {number} [options.requestsPerSecond] - Sustained request rate
+ * @param {number} [options.maxConcurrency] - Maximum requests in flight
+ * @throws {StoreError} INVALID_ARGUMENT when a limit is not positive
+ */
+export function configureRateLimit(host, options = {}) {
+  const { requestsPerSecond, maxConcurrency } = options;
+
+  if (requestsPerSecond !== undefined && !(requestsPerSecond > 0 && Number.isFinite(requestsPerSecond))) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `requestsPerSecond must be > 0, got ${requestsPerSecond}`);
+  }
+  if (maxConcurrency !== undefined && !(Number.isInteger(maxConcurrency) && maxConcurrency >= 1)) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `maxConcurrency must be an integer >= 1, got ${maxConcurrency}`);
+  }
+
+  limits[host] = { ...(limits[host] || limits['*']), ...options };
+
+  const limiter = limiters.get(host);
+  if (limiter) {
+    Object.assign(limiter, resolveLimits(host));
+    drain(limiter);
+  }
+}
+
+/**
+ * Resolves the limits for a host
+ */
+function resolveLimits(host) {
+  const { requestsPerSecond, maxConcurrency } = limits[host] || limits['*'];
+  return {
+    requestsPerSecond,
+    maxConcurrency,
+    burst: Math.max(1, requestsPerSecond),
+  };
+}
+
+/**
+ * Returns the scheduler state for a host, creating it on first use
+ */
+function getLimiter(host) {
+  let limiter = limiters.get(host);
+
+  if (!limiter) {
+    const resolved = resolveLimits(host);
+    limiter = {
+      ...resolved,
+      tokens: resolved.burst,
+      lastRefill: Date.now(),
+      active: 0,
+      queue: [],
+      timer: null,
+    };
+    limiters.set(host, limiter);
+  }
+
+  return limiter;
+}
+
+/**
+ * Adds the tokens accumulated since the last refill
+ */
+function refill(limiter) {
+  const now = Date.now();
+  const elapsed = (now - limiter.lastRefill) / 1000;
+  limiter.tokens = Math.min(limiter.burst, limiter.tokens + elapsed * limiter.requestsPerSecond);
+  limiter.lastRefill = now;
+}
+
+/**
+ * Starts as many queued requests as tokens and concurrency allow,
+ * and arms a timer for the next token when requests are still waiting
+ */
+function drain(limiter) {
+  refill(limiter);
+
+  while (limiter.queue.length > 0 && limiter.active < limiter.maxConcurrency && limiter.tokens >= 1) {
+    limiter.tokens -= 1;
+    limiter.active += 1;
+    limiter.queue.shift()();
+  }
+
+  if (limiter.queue.length > 0 && limiter.active < limiter.maxConcurrency && !limiter.timer) {
+    const wait = Math.ceil(((1 - limiter.tokens) / limiter.requestsPerSecond) * 1000);
+    limiter.timer = setTimeout(() => {
+      limiter.timer = null;
+      drain(limiter);
+    }, wait);
+  }
+}
+
+/**
+ * Runs a request once its host has a free slot and a token available
+ * @param {string} url - Request URL, used to pick the host
+ * @param {Function} task - Async function performing the request
+ * @param {AbortSignal} [signal] - Removes the request from the queue when aborted
+ * @returns {Promise<*>} Result of the task
+ */
+export async function schedule(url, task, signal) {
+  const limiter = getLimiter(new URL(url).host);
+
+  await new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const start = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    const onAbort = () => {
+      const index = limiter.queue.indexOf(start);
+      if (index !== -1) {
+        limiter.queue.splice(index, 1);
+      }
+      reject(signal.reason);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    limiter.queue.push(start);
+    drain(limiter);
+  });
+
+  try {
+    return await task();
+  } finally {
+    limiter.active -= 1;
+    drain(limiter);
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * MCP resources for apps, developers and charts
+ * Resource URIs map onto tools, e.g. appstore://app/553834731 reads the `app` tool.
+ * Optional tool arguments can be given as a query string: googleplay://app/com.duolingo?lang=de
+ */
+
+import { getTool, runTool, onToolResult } from './tools/registry.js';
+import { StoreError, ErrorCode } from './errors.js';
+
+const MAX_RECENT = 50;
+
+/**
+ * Tool arguments kept in the query string of remembered resource URIs
+ */
+const QUERY_ARGS = ['country', 'lang'];
+
+/**
+ * Resource templates, each backed by a tool; templates of disabled tools are left out
+ */
+const TEMPLATES = [
+  {
+    uriTemplate: 'appstore://app/{id}',
+    name: 'App Store app',
+    description: 'Normalized App Store app metadata by iTunes trackId',
+    tool: 'app',
+    title: app => app?.title,
+  },
+  {
+    uriTemplate: 'appstore://developer/{devId}',
+    name: 'App Store developer',
+    description: 'All App Store apps of a developer by iTunes artistId',
+    tool: 'developer',
+    title: result => result.apps?.[0]?.developer?.name,
+  },
+  {
+    uriTemplate: 'appstore://chart/{country}/{chart}',
+    name: 'App Store chart',
+    description: 'App Store ranking (topfreeapplications, toppaidapplications or topgrossingapplications) in a country',
+    tool: 'list',
+    title: result => result.chart && `${result.chart} (${result.country})`,
+  },
+  {
+    uriTemplate: 'googleplay://app/{appId}',
+    name: 'Google Play app',
+    description: 'Normalized Google Play app metadata by package name',
+    tool: 'gp_app',
+    title: app => app?.title,
+  },
+  {
+    uriTemplate: 'googleplay://developer/{devId}',
+    name: 'Google Play developer',
+    description: 'All Google Play apps of a developer by developer ID',
+    tool: 'gp_developer',
+    title: result => result?.developerId,
+  },
+  {
+    uriTemplate: 'googleplay://chart/{country}/{collection}',
+    name: 'Google Play chart',
+    description: 'Google Play ranking (topselling_free, topselling_paid, topgrossing or movers_shakers) in a country',
+    tool: 'gp_list',
+    title: result => result.collection && `${result.collection} (${result.country})`,
+  },
+].filter(template => getTool(template.tool)).map(template => ({
+  ...template,
+  ...compileTemplate(template.uriTemplate),
+}));
+
+/**
+ * Recently read resources, ordered from oldest to newest
+ */
+const recent = new Map();
+
+/**
+ * Builds a matcher and a URI builder for a "scheme://path/{param}" template
+ */
+function compileTemplate(uriTemplate) {
+  const params = [...uriTemplate.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  const pattern = uriTemplate
+    .split(/\{\w+\}/)
+    .map(part => part.replace(/[.*+?^$()|[\]\\/]/g, '\\$&'))
+    .join('([^/?#]+)');
+
+  return {
+    params,
+    regex: new RegExp(`^${pattern}(?:\\?(.*))?$`),
+    toUri: args => uriTemplate.replace(/\{(\w+)\}/g, (_, key) => encodeURIComponent(args[key])),
+  };
+}
+
+/**
+ * Matches a resource URI to a template and tool arguments
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} { template, args }
+ */
+export function matchResource(uri) {
+  for (const template of TEMPLATES) {
+    const match = uri.match(template.regex);
+    if (!match) {
+      continue;
+    }
+
+    const args = Object.fromEntries(new URLSearchParams(match[template.params.length + 1] || ''));
+    template.params.forEach((param, index) => {
+      args[param] = decodeURIComponent(match[index + 1]);
+    });
+
+    return { template, args };
+  }
+
+  return null;
+}
+
+/**
+ * Remembers a resource for resources/list
+ */
+function remember(uri, template, result) {
+  recent.delete(uri);
+  recent.set(uri, {
+    uri,
+    name: template.title(result) || uri,
+    description: template.name,
+    mimeType: 'application/json',
+  });
+
+  if (recent.size > MAX_RECENT) {
+    recent.delete(recent.keys().next().value);
+  }
+}
+
+/**
+ * Lists the resource templates
+ * @returns {Array<Object>}
+ */
+export function listResourceTemplates() {
+  return TEMPLATES.map(({ uriTemplate, name, description }) => ({
+    uriTemplate,
+    name,
+    description,
+    mimeType: 'application/json',
+  }));
+}
+
+/**
+ * Lists recently fetched resources, newest first
+ * @returns {Array<Object>}
+ */
+export function listResources() {
+  return Array.from(recent.values()).reverse();
+}
+
+/**
+ * Reads a resource by running its tool
+ * @param {string} uri - Resource URI
+ * @param {AbortSignal} [signal] - Cancellation signal of the MCP request
+ * @returns {Promise<Object>} MCP resource contents
+ * @throws {StoreError} When the URI is unknown or the tool fails
+ */
+export async function readResource(uri, signal) {
+  const matched = matchResource(uri);
+
+  if (!matched) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Unknown resource URI: ${uri}`);
+  }
+
+  const { template, args } = matched;
+  const result = await runTool(getTool(template.tool), args, signal);
+  remember(uri, template, result);
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(result, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Records a successful tool call as a recently fetched resource
+ * when the tool backs a resource template (e.g. `gp_app` → googleplay://app/{appId})
+ */
+function rememberToolResult(name, args, result) {
+  const template = TEMPLATES.find(candidate => candidate.tool === name);
+
+  if (!template) {
+    return;
+  }
+
+  const { properties } = getTool(name).inputSchema;
+  const withDefaults = key => args[key] ?? properties[key]?.default;
+
+  if (!template.params.every(param => withDefaults(param) !== undefined)) {
+    return;
+  }
+
+  const query = new URLSearchParams();
+  for (const key of QUERY_ARGS) {
+    if (!template.params.includes(key) && args[key] !== undefined && args[key] !== properties[key]?.default) {
+      query.set(key, args[key]);
+    }
+  }
+
+  const path = template.toUri(Object.fromEntries(template.params.map(param => [param, withDefaults(param)])));
+  const queryString = query.toString();
+  remember(queryString ? `${path}?${queryString}` : path, template, result);
+}
+
+onToolResult(rememberToolResult);
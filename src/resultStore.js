@@ -0,0 +1,61 @@
+/**
+ * Short-lived store of truncated tool results
+ * Keeps the items left over by a response budget under an opaque cursor
+ * so a follow-up call can continue where the response stopped
+ */
+
+import { randomBytes } from 'node:crypto';
+
+const TTL = 10 * 60 * 1000;
+const MAX_ENTRIES = 200;
+
+/**
+ * Entries ordered from oldest to newest
+ */
+const entries = new Map();
+
+/**
+ * Removes expired entries
+ */
+function purgeExpired(now = Date.now()) {
+  for (const [cursor, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(cursor);
+    }
+  }
+}
+
+/**
+ * Stores the remainder of a result
+ * @param {Object} entry - Data needed to continue, e.g. { tool, envelope, listKey, items }
+ * @returns {string} Opaque cursor
+ */
+export function saveRemainder(entry) {
+  purgeExpired();
+
+  const cursor = randomBytes(12).toString('base64url');
+  entries.set(cursor, { ...entry, expiresAt: Date.now() + TTL });
+
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  return cursor;
+}
+
+/**
+ * Reads the remainder stored under a cursor
+ * Cursors stay valid until they expire, so a failed follow-up call can be retried
+ * @param {string} cursor - Cursor returned by a truncated result
+ * @returns {Object|null} Stored entry, null when unknown or expired
+ */
+export function loadRemainder(cursor) {
+  const entry = entries.get(cursor);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    entries.delete(cursor);
+    return null;
+  }
+
+  return entry;
+}
@@ -0,0 +1,108 @@
+/**
+ * Store URL resolver
+ * Detects the store, app id, country and language of a link pasted by a user:
+ *
+ *   https://apps.apple.com/us/app/spotify/id324684580?l=es-MX, https://apps.apple.com/us/iphone/app/spotify/id324684580
+ *   https://itunes.apple.com/gb/app/id324684580?mt=8, itms-apps://itunes.apple.com/app/id324684580
+ *   https://play.google.com/store/apps/details?id=com.spotify.music&hl=de&gl=AT
+ *   market://details?id=com.spotify.music
+ */
+
+import { StoreError, ErrorCode } from './errors.js';
+
+/**
+ * Stores a URL can resolve to, named as the `store` prompt argument
+ */
+export const STORES = ['appstore', 'googleplay'];
+
+const APPLE_HOST = /(^|\.)(apps|itunes)\.apple\.com$/i;
+const GOOGLE_HOST = /^(play\.google\.com|market\.android\.com)$/i;
+
+/**
+ * App page path, e.g. /us/app/spotify-music-and-podcasts/id324684580 or /us/iphone/app/spotify/id324684580
+ */
+const APPLE_APP_PATH = /^\/(?:([a-z]{2})\/)?(?:(?:iphone|ipad|mac|watch|tv|vision)\/)?app\/(?:[^/]+\/)?id(\d+)/i;
+
+/**
+ * Two-letter country code in lower case, null when absent or malformed
+ */
+function countryCode(value) {
+  return value && /^[a-z]{2}$/i.test(value) ? value.toLowerCase() : null;
+}
+
+/**
+ * Parses a URL, adding https:// to links pasted without a scheme
+ */
+function parseUrl(input) {
+  const text = input.trim();
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`;
+
+  try {
+    return new URL(withScheme);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves an App Store / iTunes URL
+ */
+function resolveAppleUrl(url) {
+  const match = url.pathname.match(APPLE_APP_PATH);
+  const id = match ? match[2] : url.pathname === '/lookup' && url.searchParams.get('id');
+
+  if (!id || !/^\d+$/.test(id)) {
+    return null;
+  }
+
+  return {
+    store: 'appstore',
+    id: Number(id),
+    country: countryCode(match?.[1] || url.searchParams.get('country')),
+    lang: url.searchParams.get('l') || null,
+  };
+}
+
+/**
+ * Resolves a Google Play or market:// URL
+ */
+function resolveGoogleUrl(url) {
+  const id = url.searchParams.get('id');
+
+  if (!id || !/^[\w.]+$/.test(id)) {
+    return null;
+  }
+
+  return {
+    store: 'googleplay',
+    id,
+    country: countryCode(url.searchParams.get('gl')),
+    lang: url.searchParams.get('hl') || null,
+  };
+}
+
+/**
+ * Resolves a store URL
+ * @param {string} input - App Store, iTunes, Google Play or market:// URL
+ * @returns {Object} { store, id, country, lang }: id is the trackId (number) on the App Store
+ *   and the package name on Google Play, country and lang are null when the URL has none
+ * @throws {StoreError} INVALID_ARGUMENT when the URL is not an app page of either store
+ */
+export function resolveStoreUrl(input) {
+  const url = typeof input === 'string' ? parseUrl(input) : null;
+  let resolved = null;
+
+  if (url?.protocol === 'market:') {
+    resolved = url.host === 'details' ? resolveGoogleUrl(url) : null;
+  } else if (url && APPLE_HOST.test(url.hostname)) {
+    resolved = resolveAppleUrl(url);
+  } else if (url && GOOGLE_HOST.test(url.hostname) && /^(\/store\/apps)?\/details$/.test(url.pathname)) {
+    resolved = resolveGoogleUrl(url);
+  }
+
+  if (!resolved) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Not an App Store or Google Play app URL: ${input}`);
+  }
+
+  return resolved;
+}
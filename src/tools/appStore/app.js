@@ -0,0 +1,37 @@
+/**
+ * app tool - Get detailed information about an app
+ */
+
+import { buildAppUrl } from '../../endpoints/appStore.js';
+import { parseApp } from '../../parsers/appStore/app.js';
+import { toUnifiedApp } from '../../parsers/unifiedApp.js';
+import { countryProperty, cacheProperty, modelProperty } from '../schema.js';
+import { appStoreApp, unifiedApp } from '../outputSchemas.js';
+
+export default {
+  name: 'app',
+  description: 'Get detailed information about an app by ID or bundleId',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'iTunes trackId of the app (e.g., 553834731)',
+      },
+      appId: {
+        type: 'string',
+        description: 'Bundle ID of the app (e.g., com.midasplayer.apps.candycrushsaga)',
+      },
+      country: countryProperty,
+      model: modelProperty,
+      cache: cacheProperty,
+    },
+    anyOf: [{ required: ['id'] }, { required: ['appId'] }],
+  },
+  outputSchema: { type: 'object', anyOf: [appStoreApp, unifiedApp] },
+  fetchType: 'json',
+  buildUrl: buildAppUrl,
+  parse: parseApp,
+  notFound: 'App not found',
+  shape: (app, { model }) => (model === 'unified' ? toUnifiedApp(app, 'appstore') : app),
+};
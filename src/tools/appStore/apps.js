@@ -0,0 +1,108 @@
+/**
+ * apps tool - Get many apps at once by ID or bundleId
+ * Ids are looked up in chunks of MAX_LOOKUP_IDS per request, and every requested id
+ * gets an entry: the app with `found: true`, or `{ id, found: false }`
+ */
+
+import { buildLookupUrl, MAX_LOOKUP_IDS } from '../../endpoints/appStore.js';
+import { fetchJSON } from '../../httpClient.js';
+import { parseApps } from '../../parsers/appStore/app.js';
+import { toUnifiedApp } from '../../parsers/unifiedApp.js';
+import { countryProperty, cacheProperty, modelProperty } from '../schema.js';
+import { objectSchema, listSchema, appStoreApp, unifiedApp } from '../outputSchemas.js';
+
+const MAX_APPS = 1000;
+
+/**
+ * Splits a list into chunks of at most `size` items
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+/**
+ * Looks up apps by ids or bundleIds, one request per chunk
+ * @param {string} key - 'ids' or 'appIds'
+ * @param {Array} values - Unique ids or bundleIds
+ * @param {Object} params - Tool arguments
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<Array<Object>>} Parsed apps found
+ */
+async function lookup(key, values, { country, cache }, signal) {
+  const responses = await Promise.all(chunk(values, MAX_LOOKUP_IDS).map(part =>
+    fetchJSON(buildLookupUrl({ [key]: part, country }), { cache, country, signal })
+  ));
+
+  return responses.flatMap(parseApps);
+}
+
+/**
+ * Maps the apps found back to the requested values, in request order
+ */
+function mapBack(values, apps, field, normalize) {
+  const byValue = new Map(apps.map(app => [normalize(app[field]), app]));
+
+  return values.map((value) => {
+    const app = byValue.get(normalize(value));
+    return app ? { found: true, ...app } : { found: false, [field]: value };
+  });
+}
+
+const idList = (type, description) => ({
+  type: 'array',
+  description,
+  maxItems: MAX_APPS,
+  items: { type },
+});
+
+export default {
+  name: 'apps',
+  description: `Get detailed information about up to ${MAX_APPS} apps by ID or bundleId in as few requests as possible. ` +
+    'Returns one entry per requested app in request order, with found: false for apps that do not exist in the storefront',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ids: idList('integer', 'iTunes trackIds of the apps (e.g., [553834731, 284882215])'),
+      appIds: idList('string', 'Bundle IDs of the apps (e.g., ["com.midasplayer.apps.candycrushsaga"])'),
+      country: countryProperty,
+      model: modelProperty,
+      cache: cacheProperty,
+    },
+    anyOf: [{ required: ['ids'] }, { required: ['appIds'] }],
+  },
+  outputSchema: listSchema('apps', {
+    type: 'object',
+    properties: { found: { type: 'boolean' } },
+    anyOf: [appStoreApp, unifiedApp],
+  }, {
+    country: { type: 'string' },
+    notFound: { type: 'integer' },
+  }),
+  listKey: 'apps',
+  columns: ['found', 'id', 'appId', 'title', 'developer.name', 'price', 'rating.average', 'rating.count', 'version', 'url'],
+  run: async (params, { signal }) => {
+    const ids = [...new Set(params.ids || [])];
+    const appIds = [...new Set(params.appIds || [])];
+
+    const [byId, byBundleId] = await Promise.all([
+      ids.length ? lookup('ids', ids, params, signal) : [],
+      appIds.length ? lookup('appIds', appIds, params, signal) : [],
+    ]);
+
+    const apps = [
+      ...mapBack(ids, byId, 'id', value => value),
+      ...mapBack(appIds, byBundleId, 'appId', value => value?.toLowerCase()),
+    ].map(entry => (params.model === 'unified' && entry.found ? { found: true, ...toUnifiedApp(entry, 'appstore') } : entry));
+
+    return {
+      country: params.country,
+      apps,
+      count: apps.length,
+      notFound: apps.filter(app => !app.found).length,
+    };
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * developer tool - Get apps by developer
+ */
+
+import { buildDeveloperUrl } from '../../endpoints/appStore.js';
+import { parseApps } from '../../parsers/appStore/app.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, appStoreApp } from '../outputSchemas.js';
+
+export default {
+  name: 'developer',
+  description: 'Get all apps by a developer',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      devId: {
+        type: 'number',
+        description: 'iTunes artistId of the developer (e.g., 284882218 for Facebook)',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      cache: cacheProperty,
+    },
+    required: ['devId'],
+  },
+  outputSchema: listSchema('apps', appStoreApp, {
+    developerId: { type: 'number' },
+  }),
+  listKey: 'apps',
+  columns: ['id', 'title', 'developer.name', 'price', 'rating.average', 'rating.count', 'category.name', 'version', 'url'],
+  fetchType: 'json',
+  buildUrl: buildDeveloperUrl,
+  parse: parseApps,
+  shape: (apps, { devId }) => ({
+    developerId: devId,
+    apps,
+    count: apps.length,
+  }),
+};
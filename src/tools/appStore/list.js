@@ -0,0 +1,55 @@
+/**
+ * list tool - Get app rankings (top free, paid, grossing)
+ */
+
+import { buildListUrl } from '../../endpoints/appStore.js';
+import { parseApps } from '../../parsers/appStore/app.js';
+import { parseList } from '../../parsers/appStore/list.js';
+import { countryProperty, cacheProperty } from '../schema.js';
+import { listSchema, appStoreApp } from '../outputSchemas.js';
+
+export default {
+  name: 'list',
+  description: 'Get app rankings (top free, paid, or grossing)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      chart: {
+        type: 'string',
+        description: 'Chart type: topfreeapplications, toppaidapplications, or topgrossingapplications',
+        default: 'topfreeapplications',
+        enum: ['topfreeapplications', 'toppaidapplications', 'topgrossingapplications'],
+      },
+      country: countryProperty,
+      genre: {
+        type: 'string',
+        description: 'Genre ID or "all" (default: all)',
+        default: 'all',
+      },
+      limit: {
+        type: 'number',
+        description: 'Number of results (default: 200)',
+        default: 200,
+        minimum: 1,
+        maximum: 200,
+      },
+      cache: cacheProperty,
+    },
+  },
+  outputSchema: listSchema('results', appStoreApp, {
+    chart: { type: 'string' },
+    country: { type: 'string' },
+  }),
+  listKey: 'results',
+  columns: ['id', 'title', 'developer.name', 'price', 'rating.average', 'rating.count', 'category.name', 'version', 'url'],
+  fetchType: 'json',
+  buildUrl: buildListUrl,
+  // Use parseList for RSS feed format, fallback to parseApps for JSON format
+  parse: data => (data.feed ? parseList(data) : parseApps(data)),
+  shape: (apps, { chart, country }) => ({
+    chart,
+    country,
+    results: apps,
+    count: apps.length,
+  }),
+};
@@ -0,0 +1,32 @@
+/**
+ * privacy tool - Get app privacy labels
+ */
+
+import { buildPrivacyUrl } from '../../endpoints/appStore.js';
+import { parsePrivacy } from '../../parsers/appStore/privacy.js';
+import { cacheProperty } from '../schema.js';
+import { objectSchema, privacyType } from '../outputSchemas.js';
+
+export default {
+  name: 'privacy',
+  description: 'Get app privacy labels and data usage information',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'iTunes trackId of the app',
+      },
+      cache: cacheProperty,
+    },
+    required: ['id'],
+  },
+  outputSchema: objectSchema({
+    managePrivacyChoicesUrl: { type: ['string', 'null'] },
+    privacyTypes: { type: 'array', items: privacyType },
+  }),
+  fetchType: 'json',
+  buildUrl: buildPrivacyUrl,
+  parse: parsePrivacy,
+  notFound: 'Privacy data not available',
+};
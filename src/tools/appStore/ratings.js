@@ -0,0 +1,48 @@
+/**
+ * ratings tool - Get app ratings distribution
+ */
+
+import { buildRatingsUrl } from '../../endpoints/appStore.js';
+import { parseApp } from '../../parsers/appStore/app.js';
+import { parseRatings } from '../../parsers/appStore/ratings.js';
+import { countryProperty, cacheProperty } from '../schema.js';
+import { objectSchema } from '../outputSchemas.js';
+
+export default {
+  name: 'ratings',
+  description: 'Get app ratings distribution',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'iTunes trackId of the app',
+      },
+      appId: {
+        type: 'string',
+        description: 'Bundle ID of the app',
+      },
+      country: countryProperty,
+      cache: cacheProperty,
+    },
+    anyOf: [{ required: ['id'] }, { required: ['appId'] }],
+  },
+  outputSchema: objectSchema({
+    ratings: { type: 'integer' },
+    average: { type: ['number', 'null'] },
+    histogram: objectSchema({
+      1: { type: 'integer' },
+      2: { type: 'integer' },
+      3: { type: 'integer' },
+      4: { type: 'integer' },
+      5: { type: 'integer' },
+    }),
+  }),
+  fetchType: 'json',
+  buildUrl: buildRatingsUrl,
+  parse: data => {
+    const app = parseApp(data);
+    return app ? parseRatings(app) : null;
+  },
+  notFound: 'App not found',
+};
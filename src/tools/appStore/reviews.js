@@ -0,0 +1,55 @@
+/**
+ * reviews tool - Get app reviews with pagination
+ */
+
+import { buildReviewsUrl } from '../../endpoints/appStore.js';
+import { parseReviews } from '../../parsers/appStore/reviews.js';
+import { countryProperty, cacheProperty } from '../schema.js';
+import { listSchema, appStoreReview } from '../outputSchemas.js';
+
+export default {
+  name: 'reviews',
+  description: 'Get app reviews with pagination',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'iTunes trackId of the app',
+      },
+      appId: {
+        type: 'string',
+        description: 'Bundle ID of the app',
+      },
+      country: countryProperty,
+      page: {
+        type: 'number',
+        description: 'Page number (1-10, default: 1)',
+        default: 1,
+        minimum: 1,
+        maximum: 10,
+      },
+      sort: {
+        type: 'string',
+        description: 'Sort order: mostRecent or mostHelpful',
+        default: 'mostRecent',
+        enum: ['mostRecent', 'mostHelpful'],
+      },
+      cache: cacheProperty,
+    },
+    anyOf: [{ required: ['id'] }, { required: ['appId'] }],
+  },
+  outputSchema: listSchema('reviews', appStoreReview, {
+    page: { type: 'number' },
+  }),
+  listKey: 'reviews',
+  columns: ['id', 'userName', 'score', 'version', 'title', 'text', 'updated'],
+  fetchType: 'json',
+  buildUrl: buildReviewsUrl,
+  parse: parseReviews,
+  shape: (reviews, { page }) => ({
+    page,
+    reviews,
+    count: reviews.length,
+  }),
+};
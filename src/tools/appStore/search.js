@@ -0,0 +1,47 @@
+/**
+ * search tool - Search for apps
+ */
+
+import { buildSearchUrl } from '../../endpoints/appStore.js';
+import { parseSearch } from '../../parsers/appStore/search.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, appStoreApp } from '../outputSchemas.js';
+
+export default {
+  name: 'search',
+  description: 'Search for apps in the App Store',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      term: {
+        type: 'string',
+        description: 'Search term',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      num: {
+        type: 'number',
+        description: 'Number of results (default: 50, max: 200)',
+        default: 50,
+        minimum: 1,
+        maximum: 200,
+      },
+      page: {
+        type: 'number',
+        description: 'Page number (default: 1)',
+        default: 1,
+        minimum: 1,
+      },
+      cache: cacheProperty,
+    },
+    required: ['term'],
+  },
+  outputSchema: listSchema('results', appStoreApp, {
+    total: { type: 'integer' },
+  }),
+  listKey: 'results',
+  columns: ['id', 'title', 'developer.name', 'price', 'rating.average', 'rating.count', 'category.name', 'version', 'url'],
+  fetchType: 'json',
+  buildUrl: buildSearchUrl,
+  parse: parseSearch,
+};
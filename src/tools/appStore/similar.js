@@ -0,0 +1,44 @@
+/**
+ * similar tool - Get similar apps
+ */
+
+import { buildSimilarUrl } from '../../endpoints/appStore.js';
+import { parseSimilarFromHTML } from '../../parsers/appStore/similar.js';
+import { countryProperty, cacheProperty } from '../schema.js';
+import { listSchema, appStoreSimilarApp } from '../outputSchemas.js';
+
+export default {
+  name: 'similar',
+  description: 'Get apps similar to the specified app',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'iTunes trackId of the app',
+      },
+      appId: {
+        type: 'string',
+        description: 'Bundle ID of the app',
+      },
+      country: countryProperty,
+      cache: cacheProperty,
+    },
+    anyOf: [{ required: ['id'] }, { required: ['appId'] }],
+  },
+  // Similar apps are only available from the web page
+  outputSchema: listSchema('similarApps', appStoreSimilarApp, {
+    note: { type: ['string', 'null'] },
+  }),
+  listKey: 'similarApps',
+  fetchType: 'text',
+  buildUrl: buildSimilarUrl,
+  parse: parseSimilarFromHTML,
+  shape: similarApps => ({
+    similarApps,
+    count: similarApps.length,
+    note: similarApps.length === 0
+      ? 'Similar apps parsing from HTML is limited. Consider using search with related terms.'
+      : null,
+  }),
+};
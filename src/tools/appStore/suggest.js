@@ -0,0 +1,37 @@
+/**
+ * suggest tool - Get search suggestions
+ */
+
+import { buildSuggestUrl } from '../../endpoints/appStore.js';
+import { parseSuggest } from '../../parsers/appStore/suggest.js';
+import { countryProperty, cacheProperty } from '../schema.js';
+import { listSchema, suggestion } from '../outputSchemas.js';
+
+export default {
+  name: 'suggest',
+  description: 'Get search suggestions/autocomplete for a search term',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      term: {
+        type: 'string',
+        description: 'Search term to get suggestions for',
+      },
+      country: countryProperty,
+      cache: cacheProperty,
+    },
+    required: ['term'],
+  },
+  outputSchema: listSchema('suggestions', suggestion, {
+    term: { type: 'string' },
+  }),
+  listKey: 'suggestions',
+  fetchType: 'json',
+  buildUrl: buildSuggestUrl,
+  parse: parseSuggest,
+  shape: (suggestions, { term }) => ({
+    term,
+    suggestions,
+    count: suggestions.length,
+  }),
+};
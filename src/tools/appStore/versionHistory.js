@@ -0,0 +1,37 @@
+/**
+ * versionHistory tool - Get app version history
+ */
+
+import { buildVersionHistoryUrl } from '../../endpoints/appStore.js';
+import { parseVersionHistory } from '../../parsers/appStore/versionHistory.js';
+import { countryProperty, cacheProperty } from '../schema.js';
+import { listSchema, versionEntry } from '../outputSchemas.js';
+
+export default {
+  name: 'versionHistory',
+  description: 'Get app version history with release notes',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'iTunes trackId of the app',
+      },
+      country: countryProperty,
+      cache: cacheProperty,
+    },
+    required: ['id'],
+  },
+  outputSchema: listSchema('versionHistory', versionEntry, {
+    id: { type: 'number' },
+  }),
+  listKey: 'versionHistory',
+  fetchType: 'json',
+  buildUrl: buildVersionHistoryUrl,
+  parse: parseVersionHistory,
+  shape: (history, { id }) => ({
+    id,
+    versionHistory: history,
+    count: history.length,
+  }),
+};
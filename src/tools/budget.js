@@ -0,0 +1,130 @@
+/**
+ * Response size budget for list-returning tools (`maxItems`, `maxBytes` and `cursor` arguments)
+ * A result over budget is cut after the last item that fits; the rest is kept in
+ * the result store and returned by a follow-up call with the `cursor` argument.
+ */
+
+import { StoreError, ErrorCode } from '../errors.js';
+import { saveRemainder, loadRemainder } from '../resultStore.js';
+import { validateArgs } from './validate.js';
+import { maxItemsProperty, maxBytesProperty, cursorProperty } from './schema.js';
+
+const CURSOR_PLACEHOLDER = 'x'.repeat(16);
+
+/**
+ * Arguments accepted by a follow-up call
+ */
+const CONTINUE_SCHEMA = {
+  type: 'object',
+  properties: {
+    cursor: cursorProperty,
+    maxItems: maxItemsProperty,
+    maxBytes: maxBytesProperty,
+  },
+};
+
+/**
+ * Size of a value as compact JSON, in bytes
+ */
+function byteLength(value) {
+  return Buffer.byteLength(JSON.stringify(value));
+}
+
+/**
+ * Builds a result from its envelope and a page of items
+ */
+function buildPage(envelope, listKey, items, remaining) {
+  const page = { ...envelope, [listKey]: items };
+
+  if ('count' in envelope) {
+    page.count = items.length;
+  }
+  if (remaining > 0) {
+    page.remaining = remaining;
+    page.cursor = CURSOR_PLACEHOLDER;
+  }
+
+  return page;
+}
+
+/**
+ * Number of leading items that fit in the budget, always at least one
+ */
+function countFitting(envelope, listKey, items, { maxItems, maxBytes }) {
+  let fitting = maxItems !== undefined ? Math.min(items.length, maxItems) : items.length;
+
+  if (maxBytes === undefined || fitting <= 1) {
+    return fitting;
+  }
+
+  let size = byteLength(buildPage(envelope, listKey, [], items.length));
+  for (let index = 0; index < fitting; index++) {
+    size += byteLength(items[index]) + (index > 0 ? 1 : 0);
+    if (index > 0 && size > maxBytes) {
+      fitting = index;
+      break;
+    }
+  }
+
+  return fitting;
+}
+
+/**
+ * Returns the first page of items within budget and stores the rest
+ */
+function paginate(tool, envelope, items, budget) {
+  const fitting = countFitting(envelope, tool.listKey, items, budget);
+  const remaining = items.length - fitting;
+  const page = buildPage(envelope, tool.listKey, items.slice(0, fitting), remaining);
+
+  if (remaining > 0) {
+    page.cursor = saveRemainder({
+      tool: tool.name,
+      envelope,
+      items: items.slice(fitting),
+      budget,
+    });
+  }
+
+  return page;
+}
+
+/**
+ * Applies `maxItems` / `maxBytes` to a list result
+ * @param {Object} tool - Tool definition with a `listKey`
+ * @param {Object} result - Projected result
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Result, with `remaining` and `cursor` when it was truncated
+ */
+export function applyBudget(tool, result, { maxItems, maxBytes }) {
+  const items = result?.[tool.listKey];
+
+  if (!Array.isArray(items) || (maxItems === undefined && maxBytes === undefined)) {
+    return result;
+  }
+
+  return paginate(tool, { ...result, [tool.listKey]: [] }, items, { maxItems, maxBytes });
+}
+
+/**
+ * Continues a truncated result from its cursor
+ * The budget of the first call applies unless `maxItems` / `maxBytes` are given again
+ * @param {Object} tool - Tool definition with a `listKey`
+ * @param {Object} args - Tool arguments with `cursor`
+ * @returns {Object} Next page
+ * @throws {StoreError} INVALID_ARGUMENT when the cursor is unknown, expired or belongs to another tool
+ */
+export function continueFromCursor(tool, args) {
+  const { cursor, maxItems, maxBytes } = validateArgs(CONTINUE_SCHEMA, args);
+  const entry = loadRemainder(cursor);
+
+  if (!entry || entry.tool !== tool.name) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Unknown or expired cursor for ${tool.name}, call the tool again without cursor`);
+  }
+
+  const budget = maxItems === undefined && maxBytes === undefined
+    ? entry.budget
+    : { maxItems, maxBytes };
+
+  return paginate(tool, entry.envelope, entry.items, budget);
+}
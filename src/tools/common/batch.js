@@ -0,0 +1,117 @@
+/**
+ * batch tool - Run many tool calls in one request
+ * Calls share the per-host rate limits and cache like separate calls; a failed call
+ * becomes an error entry instead of failing the batch
+ */
+
+import { StoreError, ErrorCode, toStoreError } from '../../errors.js';
+import { objectSchema, listSchema } from '../outputSchemas.js';
+
+const MAX_CALLS = 100;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Runs a task for every item with at most `limit` tasks in flight, keeping the item order
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @param {Function} task - Async function called with (item, index)
+ * @returns {Promise<Array>} Task results
+ */
+async function mapConcurrent(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Runs one call of the batch
+ * @returns {Promise<Object>} { tool, ok: true, result } or { tool, ok: false, error }
+ */
+async function runCall({ tool: name, args = {} }, { signal, getTool, runTool }) {
+  try {
+    const tool = name === 'batch' ? null : getTool(name);
+    if (!tool) {
+      throw new StoreError(ErrorCode.INVALID_ARGUMENT, name === 'batch' ? 'Batches cannot be nested' : `Unknown tool: ${name}`);
+    }
+
+    return { tool: name, ok: true, result: await runTool(tool, args, signal) };
+  } catch (error) {
+    // Cancelling the request cancels the whole batch
+    signal?.throwIfAborted();
+    return { tool: name, ok: false, error: toStoreError(error).toJSON() };
+  }
+}
+
+export default {
+  name: 'batch',
+  description: 'Run up to 100 tool calls (e.g. app for 30 competitor ids) in one request, with bounded concurrency. ' +
+    'Returns one entry per call, in order, with its result or error',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      calls: {
+        type: 'array',
+        description: 'Tool calls as { tool, args }, e.g. [{ "tool": "app", "args": { "id": 553834731, "fields": "title,rating" } }]',
+        minItems: 1,
+        maxItems: MAX_CALLS,
+        items: {
+          type: 'object',
+          properties: {
+            tool: {
+              type: 'string',
+              description: 'Tool name',
+            },
+            args: {
+              type: 'object',
+              description: 'Tool arguments',
+            },
+          },
+          required: ['tool'],
+        },
+      },
+      concurrency: {
+        type: 'integer',
+        description: `Maximum number of calls running at once (default: ${DEFAULT_CONCURRENCY})`,
+        default: DEFAULT_CONCURRENCY,
+        minimum: 1,
+        maximum: MAX_CONCURRENCY,
+      },
+    },
+    required: ['calls'],
+  },
+  outputSchema: listSchema('results', objectSchema({
+    tool: { type: 'string' },
+    ok: { type: 'boolean' },
+    result: {},
+    error: objectSchema({
+      error: { type: 'string' },
+      code: { type: 'string' },
+      retryable: { type: 'boolean' },
+    }),
+  }), {
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+  }),
+  listKey: 'results',
+  run: async ({ calls, concurrency }, context) => {
+    const results = await mapConcurrent(calls, concurrency, call => runCall(call, context));
+    const succeeded = results.filter(result => result.ok).length;
+
+    return {
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+      count: results.length,
+    };
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * lookup tool - Get app details from an App Store or Google Play URL
+ */
+
+import { STORES } from '../../storeUrl.js';
+import { runForUrl } from '../dispatch.js';
+import { storeUrlProperty, urlCountryProperty, urlLangProperty, cacheProperty, modelProperty } from '../schema.js';
+import { appStoreApp, googlePlayApp, unifiedApp } from '../outputSchemas.js';
+
+export default {
+  name: 'lookup',
+  description: 'Get detailed information about an app from its App Store or Google Play URL, ' +
+    'using the country and language of the URL. Returns the app tool (App Store) or gp_app tool (Google Play) result with its store',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: storeUrlProperty,
+      country: urlCountryProperty,
+      lang: urlLangProperty,
+      model: modelProperty,
+      cache: cacheProperty,
+    },
+    required: ['url'],
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      store: { type: 'string', enum: STORES },
+    },
+    anyOf: [appStoreApp, googlePlayApp, unifiedApp],
+  },
+  run: async ({ url, country, lang, model, cache }, context) => {
+    const { target, result } = await runForUrl(url, { appstore: 'app', googleplay: 'gp_app' }, () => ({ country, lang, model, cache }), context);
+    return { store: target.store, ...result };
+  },
+};
@@ -0,0 +1,114 @@
+/**
+ * match_app tool - Find the Android version of an iOS app, or the iOS version of an Android app
+ */
+
+import { STORES, resolveStoreUrl } from '../../storeUrl.js';
+import { findMatches } from '../../matcher.js';
+import { StoreError, ErrorCode } from '../../errors.js';
+import { storeUrlProperty, urlCountryProperty, urlLangProperty } from '../schema.js';
+import { objectSchema, listSchema } from '../outputSchemas.js';
+
+const nullableString = { type: ['string', 'null'] };
+const signalScore = { type: ['number', 'null'] };
+
+/**
+ * Store and id of the source app from the tool arguments
+ */
+function sourceOf({ url, id, appId }) {
+  if (url) {
+    return resolveStoreUrl(url);
+  }
+  return id !== undefined ? { store: 'appstore', id } : { store: 'googleplay', id: appId };
+}
+
+export default {
+  name: 'match_app',
+  description: 'Find the Google Play version of an App Store app, or the App Store version of a Google Play app. ' +
+    'Candidates from a title search and the developer\'s apps are ranked by a confidence from 0 to 1 combining ' +
+    'title, developer name, website domain and icon similarity',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'number',
+        description: 'iTunes trackId of an App Store app, to find its Google Play version',
+      },
+      appId: {
+        type: 'string',
+        description: 'Google Play app ID, to find its App Store version',
+      },
+      url: storeUrlProperty,
+      country: urlCountryProperty,
+      lang: urlLangProperty,
+      num: {
+        type: 'number',
+        description: 'Number of matches (1-10, default: 5)',
+        default: 5,
+        minimum: 1,
+        maximum: 10,
+      },
+      icons: {
+        type: 'boolean',
+        description: 'Compare icons, which fetches a small thumbnail per candidate (default: true)',
+        default: true,
+      },
+    },
+    anyOf: [{ required: ['id'] }, { required: ['appId'] }, { required: ['url'] }],
+  },
+  outputSchema: listSchema('matches', objectSchema({
+    store: { type: 'string', enum: STORES },
+    id: { type: ['integer', 'string', 'null'] },
+    title: nullableString,
+    developer: nullableString,
+    developerId: { type: ['integer', 'string', 'null'] },
+    website: nullableString,
+    icon: nullableString,
+    url: nullableString,
+    confidence: { type: 'number' },
+    signals: objectSchema({
+      title: signalScore,
+      developer: signalScore,
+      domain: signalScore,
+      icon: signalScore,
+    }),
+  }), {
+    source: objectSchema({
+      store: { type: 'string', enum: STORES },
+      id: { type: ['integer', 'string', 'null'] },
+      title: nullableString,
+      developer: nullableString,
+    }),
+  }),
+  listKey: 'matches',
+  columns: ['id', 'title', 'developer', 'confidence', 'signals.title', 'signals.developer', 'signals.domain', 'signals.icon', 'url'],
+  run: async (params, { signal, getTool, runTool }) => {
+    const source = sourceOf(params);
+    const country = params.country ?? source.country ?? undefined;
+    const lang = params.lang ?? source.lang ?? undefined;
+    const toolName = source.store === 'appstore' ? 'app' : 'gp_app';
+    const tool = getTool(toolName);
+
+    if (!tool) {
+      throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Tool ${toolName} is disabled, it is needed to match apps`);
+    }
+
+    const app = await runTool(tool, source.store === 'appstore'
+      ? { id: source.id, country }
+      : { appId: source.id, country, lang }, signal);
+
+    const { source: matched, matches } = await findMatches(app, {
+      store: source.store,
+      country,
+      lang,
+      num: params.num,
+      icons: params.icons,
+      signal,
+    }, { getTool, runTool });
+
+    return {
+      source: { ...matched, id: matched.id ?? source.id },
+      matches,
+      count: matches.length,
+    };
+  },
+};
@@ -0,0 +1,72 @@
+/**
+ * reviews_any tool - Get app reviews from an App Store or Google Play URL
+ */
+
+import { STORES } from '../../storeUrl.js';
+import { runForUrl } from '../dispatch.js';
+import { storeUrlProperty, urlCountryProperty, urlLangProperty, cacheProperty } from '../schema.js';
+import { listSchema, appStoreReview, googlePlayReview } from '../outputSchemas.js';
+
+/**
+ * Store sort values of each sort order
+ */
+const SORTS = {
+  newest: { appstore: 'mostRecent', googleplay: 0 },
+  helpful: { appstore: 'mostHelpful', googleplay: 2 },
+};
+
+export default {
+  name: 'reviews_any',
+  description: 'Get app reviews from an App Store or Google Play URL, using the country and language of the URL. ' +
+    'Dispatches to the reviews tool (App Store) or gp_reviews tool (Google Play)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: storeUrlProperty,
+      country: urlCountryProperty,
+      lang: urlLangProperty,
+      page: {
+        type: 'number',
+        description: 'Page number, starting at 1 in both stores (App Store: 1-10, default: 1)',
+        default: 1,
+        minimum: 1,
+      },
+      sort: {
+        type: 'string',
+        description: 'Sort order: newest or helpful (default: newest)',
+        default: 'newest',
+        enum: Object.keys(SORTS),
+      },
+      cache: cacheProperty,
+    },
+    required: ['url'],
+  },
+  outputSchema: listSchema('reviews', {
+    type: 'object',
+    anyOf: [appStoreReview, googlePlayReview],
+  }, {
+    store: { type: 'string', enum: STORES },
+    id: { type: ['integer', 'string'] },
+    page: { type: 'integer' },
+  }),
+  listKey: 'reviews',
+  columns: ['userName', 'score', 'version', 'title', 'text', 'updated', 'date'],
+  run: async ({ url, country, lang, page, sort, cache }, context) => {
+    const { target, result } = await runForUrl(url, { appstore: 'reviews', googleplay: 'gp_reviews' }, store => ({
+      country,
+      lang,
+      cache,
+      sort: SORTS[sort][store],
+      page: store === 'googleplay' ? page - 1 : page,
+    }), context);
+
+    const reviews = target.store === 'googleplay' ? result.data : result.reviews;
+    return {
+      store: target.store,
+      id: target.id,
+      page,
+      reviews,
+      count: reviews.length,
+    };
+  },
+};
@@ -0,0 +1,49 @@
+/**
+ * Store-agnostic tool dispatch
+ * Resolves a store URL and runs the matching store tool with the app id, country
+ * and language found in the URL; explicit arguments take precedence
+ */
+
+import { StoreError, ErrorCode } from '../errors.js';
+import { resolveStoreUrl } from '../storeUrl.js';
+
+/**
+ * Argument holding the app id in each store's tools
+ */
+const ID_ARGUMENTS = {
+  appstore: 'id',
+  googleplay: 'appId',
+};
+
+/**
+ * Runs the tool of the URL's store
+ * @param {string} url - Store URL
+ * @param {Object} toolNames - Tool to run per store, e.g. { appstore: 'app', googleplay: 'gp_app' }
+ * @param {Function} argsFor - Returns the other tool arguments for a store
+ * @param {Object} context - Context of the calling tool, { signal, getTool, runTool }
+ * @returns {Promise<Object>} { target, result }, target as returned by resolveStoreUrl
+ * @throws {StoreError} INVALID_ARGUMENT for an unsupported URL or a disabled tool, or the tool's error
+ */
+export async function runForUrl(url, toolNames, argsFor, { signal, getTool, runTool }) {
+  const target = resolveStoreUrl(url);
+  const tool = getTool(toolNames[target.store]);
+
+  if (!tool) {
+    throw new StoreError(ErrorCode.INVALID_ARGUMENT, `Tool ${toolNames[target.store]} is disabled, ${target.store} URLs are not supported`);
+  }
+
+  const args = argsFor(target.store);
+  const values = {
+    ...args,
+    [ID_ARGUMENTS[target.store]]: target.id,
+    country: args.country ?? target.country,
+    lang: args.lang ?? target.lang,
+  };
+
+  // Only pass what the store tool accepts, e.g. App Store tools have no lang
+  const toolArgs = Object.fromEntries(Object.entries(values).filter(([key, value]) =>
+    value !== undefined && value !== null && key in tool.inputSchema.properties
+  ));
+
+  return { target, result: await runTool(tool, toolArgs, signal) };
+}
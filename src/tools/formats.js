@@ -0,0 +1,141 @@
+/**
+ * Table rendering of list results (`format` argument)
+ * Items are flattened to dot-path columns ("rating.average", "developer.name"),
+ * arrays are joined, and the table is rendered as Markdown or CSV
+ */
+
+/**
+ * Formats accepted by the `format` tool argument
+ */
+export const FORMATS = ['json', 'markdown', 'csv'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flattens an item to a map of dot-path columns to cell values
+ * @param {*} item - List item
+ * @param {string} [prefix] - Path of the item
+ * @returns {Object}
+ */
+export function flatten(item, prefix = '') {
+  if (!isObject(item)) {
+    return { [prefix || 'value']: item };
+  }
+
+  const row = {};
+  for (const [key, value] of Object.entries(item)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isObject(value)) {
+      Object.assign(row, flatten(value, path));
+    } else if (Array.isArray(value)) {
+      row[path] = value.map(entry => (isObject(entry) ? JSON.stringify(entry) : entry)).join(', ');
+    } else {
+      row[path] = value;
+    }
+  }
+  return row;
+}
+
+/**
+ * Columns of a table: the default columns found in the rows,
+ * or every column in order of appearance when fields were selected or no default matches
+ */
+function selectColumns(rows, defaults, selected) {
+  const present = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!present.includes(column)) {
+        present.push(column);
+      }
+    }
+  }
+
+  if (selected || !defaults) {
+    return present;
+  }
+
+  const columns = defaults.filter(column => present.includes(column));
+  return columns.length > 0 ? columns : present;
+}
+
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function markdownCell(value) {
+  return cellText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders rows as a Markdown table
+ */
+function renderMarkdown(rows, columns) {
+  const lines = [
+    `| ${columns.map(markdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => markdownCell(row[column])).join(' | ')} |`),
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Renders rows as CSV (RFC 4180)
+ */
+function renderCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Renders items as a table
+ * @param {Array} items - List items
+ * @param {string} format - markdown or csv
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Default columns
+ * @param {boolean} [options.selected] - Whether the items were narrowed with `fields`, in which case every column is kept
+ * @returns {string}
+ */
+export function renderTable(items, format, { columns, selected } = {}) {
+  const rows = items.map(item => flatten(item));
+  const tableColumns = selectColumns(rows, columns, selected);
+
+  if (tableColumns.length === 0) {
+    return '';
+  }
+
+  return format === 'csv'
+    ? renderCsv(rows, tableColumns)
+    : renderMarkdown(rows, tableColumns);
+}
+
+/**
+ * Renders the text of a tool result in the requested format
+ * @param {Object} tool - Tool definition with `listKey` and `columns`
+ * @param {Object} result - Tool result
+ * @param {Object} args - Tool arguments
+ * @returns {string|null} Table, null when the result should be rendered as JSON
+ */
+export function formatResult(tool, result, { format, fields } = {}) {
+  const items = result?.[tool.listKey];
+
+  if (!format || format === 'json' || !Array.isArray(items)) {
+    return null;
+  }
+
+  const table = renderTable(items, format, { columns: tool.columns, selected: Boolean(fields) });
+
+  if (format === 'markdown' && result.cursor) {
+    return `${table}\n\n_${result.remaining} more items, continue with cursor \`${result.cursor}\`_`;
+  }
+
+  return table;
+}
@@ -0,0 +1,35 @@
+/**
+ * gp_app tool - Get detailed information about a Google Play app
+ */
+
+import { buildAppUrl } from '../../endpoints/googlePlay.js';
+import { parseApp } from '../../parsers/googlePlay/app.js';
+import { toUnifiedApp } from '../../parsers/unifiedApp.js';
+import { countryProperty, langProperty, cacheProperty, modelProperty } from '../schema.js';
+import { googlePlayApp, unifiedApp } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_app',
+  description: '[Google Play] Get detailed information about an app',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      appId: {
+        type: 'string',
+        description: 'Google Play app ID (e.g., com.duolingo)',
+      },
+      lang: langProperty,
+      country: countryProperty,
+      model: modelProperty,
+      cache: cacheProperty,
+    },
+    required: ['appId'],
+  },
+  outputSchema: { type: 'object', anyOf: [googlePlayApp, unifiedApp] },
+  fetchType: 'text',
+  buildUrl: buildAppUrl,
+  parse: parseApp,
+  notFound: 'App not found',
+  unrecognized: app => !app.title && !app.appId,
+  shape: (app, { model }) => (model === 'unified' ? toUnifiedApp(app, 'googleplay') : app),
+};
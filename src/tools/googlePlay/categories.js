@@ -0,0 +1,29 @@
+/**
+ * gp_categories tool - Get list of Google Play categories
+ */
+
+import { buildCategoriesUrl } from '../../endpoints/googlePlay.js';
+import { parseCategories } from '../../parsers/googlePlay/categories.js';
+import { cacheProperty } from '../schema.js';
+import { listSchema } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_categories',
+  description: '[Google Play] Get list of available categories',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      cache: cacheProperty,
+    },
+  },
+  outputSchema: listSchema('categories', { type: 'string' }),
+  listKey: 'categories',
+  fetchType: 'text',
+  buildUrl: buildCategoriesUrl,
+  parse: parseCategories,
+  unrecognized: categories => categories.length === 0,
+  shape: categories => ({
+    categories,
+    count: categories.length,
+  }),
+};
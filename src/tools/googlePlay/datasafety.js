@@ -0,0 +1,36 @@
+/**
+ * gp_datasafety tool - Get Google Play data safety information
+ */
+
+import { buildDataSafetyUrl } from '../../endpoints/googlePlay.js';
+import { parseDataSafety } from '../../parsers/googlePlay/datasafety.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { objectSchema, dataSafetyItem, securityPractice } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_datasafety',
+  description: '[Google Play] Get app data safety information',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      appId: {
+        type: 'string',
+        description: 'Google Play app ID',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      cache: cacheProperty,
+    },
+    required: ['appId'],
+  },
+  outputSchema: objectSchema({
+    dataShared: { type: 'array', items: dataSafetyItem },
+    dataCollected: { type: 'array', items: dataSafetyItem },
+    securityPractices: { type: 'array', items: securityPractice },
+    privacyPolicyUrl: { type: ['string', 'null'] },
+  }),
+  fetchType: 'text',
+  buildUrl: buildDataSafetyUrl,
+  parse: parseDataSafety,
+  notFound: 'Data safety information not available',
+};
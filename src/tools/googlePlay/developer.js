@@ -0,0 +1,45 @@
+/**
+ * gp_developer tool - Get Google Play apps by developer
+ */
+
+import { buildDeveloperUrl } from '../../endpoints/googlePlay.js';
+import { parseList } from '../../parsers/googlePlay/list.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, googlePlayAppEntry } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_developer',
+  description: '[Google Play] Get all apps by a developer',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      devId: {
+        type: 'string',
+        description: 'Google Play developer ID',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      num: {
+        type: 'number',
+        description: 'Number of results (default: 60)',
+        default: 60,
+        minimum: 1,
+      },
+      cache: cacheProperty,
+    },
+    required: ['devId'],
+  },
+  outputSchema: listSchema('apps', googlePlayAppEntry, {
+    developerId: { type: 'string' },
+  }),
+  listKey: 'apps',
+  fetchType: 'text',
+  buildUrl: buildDeveloperUrl,
+  parse: parseList, // Developer pages use the same structure as lists
+  unrecognized: apps => apps.length === 0,
+  shape: (apps, { devId }) => ({
+    developerId: devId,
+    apps,
+    count: apps.length,
+  }),
+};
@@ -0,0 +1,56 @@
+/**
+ * gp_list tool - Get Google Play app rankings
+ */
+
+import { buildListUrl } from '../../endpoints/googlePlay.js';
+import { parseList } from '../../parsers/googlePlay/list.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, googlePlayAppEntry } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_list',
+  description: '[Google Play] Get app rankings (top free, paid, grossing)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      collection: {
+        type: 'string',
+        description: 'Collection type: topselling_free, topselling_paid, topgrossing, movers_shakers',
+        default: 'topselling_free',
+        enum: ['topselling_free', 'topselling_paid', 'topgrossing', 'movers_shakers'],
+      },
+      category: {
+        type: 'string',
+        description: 'Category ID (default: APPLICATION)',
+        default: 'APPLICATION',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      num: {
+        type: 'number',
+        description: 'Number of results (default: 60)',
+        default: 60,
+        minimum: 1,
+      },
+      cache: cacheProperty,
+    },
+  },
+  outputSchema: listSchema('results', googlePlayAppEntry, {
+    collection: { type: 'string' },
+    category: { type: ['string', 'null'] },
+    country: { type: 'string' },
+  }),
+  listKey: 'results',
+  columns: ['appId', 'title', 'developer', 'score', 'priceText', 'url'],
+  fetchType: 'text',
+  buildUrl: buildListUrl,
+  parse: parseList,
+  unrecognized: apps => apps.length === 0,
+  shape: (apps, { collection, category, country }) => ({
+    collection,
+    category,
+    country,
+    results: apps,
+    count: apps.length,
+  }),
+};
@@ -0,0 +1,44 @@
+/**
+ * gp_permissions tool - Get Google Play app permissions
+ */
+
+import { buildPermissionsUrl } from '../../endpoints/googlePlay.js';
+import { parsePermissions } from '../../parsers/googlePlay/permissions.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, permission } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_permissions',
+  description: '[Google Play] Get app permissions',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      appId: {
+        type: 'string',
+        description: 'Google Play app ID',
+      },
+      lang: langProperty,
+      country: countryProperty,
+      short: {
+        type: 'boolean',
+        description: 'If true, return only permission names (default: false)',
+        default: false,
+      },
+      cache: cacheProperty,
+    },
+    required: ['appId'],
+  },
+  outputSchema: listSchema('permissions', permission, {
+    appId: { type: 'string' },
+  }),
+  listKey: 'permissions',
+  columns: ['permission', 'type'],
+  fetchType: 'text',
+  buildUrl: buildPermissionsUrl,
+  parse: (html, { short }) => parsePermissions(html, short),
+  shape: (permissions, { appId }) => ({
+    appId,
+    permissions,
+    count: permissions.length,
+  }),
+};
@@ -0,0 +1,52 @@
+/**
+ * gp_reviews tool - Get Google Play app reviews
+ */
+
+import { buildReviewsUrl } from '../../endpoints/googlePlay.js';
+import { parseReviews } from '../../parsers/googlePlay/reviews.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { objectSchema, googlePlayReview } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_reviews',
+  description: '[Google Play] Get app reviews with pagination',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      appId: {
+        type: 'string',
+        description: 'Google Play app ID',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      page: {
+        type: 'number',
+        description: 'Page number (default: 0)',
+        default: 0,
+        minimum: 0,
+      },
+      sort: {
+        type: 'number',
+        description: 'Sort order: 0 = most recent, 2 = most helpful (default: 0)',
+        default: 0,
+        enum: [0, 2],
+      },
+      cache: cacheProperty,
+    },
+    required: ['appId'],
+  },
+  outputSchema: objectSchema({
+    page: { type: 'number' },
+    data: { type: 'array', items: googlePlayReview },
+    nextPaginationToken: { type: ['string', 'null'] },
+  }),
+  listKey: 'data',
+  columns: ['reviewId', 'userName', 'score', 'date', 'version', 'thumbsUp', 'text', 'replyText'],
+  fetchType: 'text',
+  buildUrl: buildReviewsUrl,
+  parse: parseReviews,
+  shape: (result, { page }) => ({
+    page,
+    ...result,
+  }),
+};
@@ -0,0 +1,38 @@
+/**
+ * gp_search tool - Search for Google Play apps
+ */
+
+import { buildSearchUrl } from '../../endpoints/googlePlay.js';
+import { parseSearchResults } from '../../parsers/googlePlay/search.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, googlePlayAppEntry } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_search',
+  description: '[Google Play] Search for apps',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      term: {
+        type: 'string',
+        description: 'Search term',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      num: {
+        type: 'number',
+        description: 'Number of results (default: 250)',
+        default: 250,
+        minimum: 1,
+      },
+      cache: cacheProperty,
+    },
+    required: ['term'],
+  },
+  outputSchema: listSchema('results', googlePlayAppEntry),
+  listKey: 'results',
+  columns: ['appId', 'title', 'developer', 'score', 'priceText', 'url'],
+  fetchType: 'text',
+  buildUrl: buildSearchUrl,
+  parse: parseSearchResults,
+};
@@ -0,0 +1,35 @@
+/**
+ * gp_similar tool - Get similar Google Play apps
+ */
+
+import { buildSimilarUrl } from '../../endpoints/googlePlay.js';
+import { parseSimilar } from '../../parsers/googlePlay/similar.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, googlePlayAppEntry } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_similar',
+  description: '[Google Play] Get apps similar to the specified app',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      appId: {
+        type: 'string',
+        description: 'Google Play app ID',
+      },
+      lang: langProperty,
+      country: countryProperty,
+      cache: cacheProperty,
+    },
+    required: ['appId'],
+  },
+  outputSchema: listSchema('similarApps', googlePlayAppEntry),
+  listKey: 'similarApps',
+  fetchType: 'text',
+  buildUrl: buildSimilarUrl,
+  parse: parseSimilar,
+  shape: similarApps => ({
+    similarApps,
+    count: similarApps.length,
+  }),
+};
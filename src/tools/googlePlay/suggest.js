@@ -0,0 +1,38 @@
+/**
+ * gp_suggest tool - Get Google Play search suggestions
+ */
+
+import { buildSuggestUrl } from '../../endpoints/googlePlay.js';
+import { parseSuggest } from '../../parsers/googlePlay/suggest.js';
+import { countryProperty, langProperty, cacheProperty } from '../schema.js';
+import { listSchema, suggestion } from '../outputSchemas.js';
+
+export default {
+  name: 'gp_suggest',
+  description: '[Google Play] Get search suggestions/autocomplete',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      term: {
+        type: 'string',
+        description: 'Search term to get suggestions for',
+      },
+      country: countryProperty,
+      lang: langProperty,
+      cache: cacheProperty,
+    },
+    required: ['term'],
+  },
+  outputSchema: listSchema('suggestions', suggestion, {
+    term: { type: 'string' },
+  }),
+  listKey: 'suggestions',
+  fetchType: 'json',
+  buildUrl: buildSuggestUrl,
+  parse: parseSuggest,
+  shape: (suggestions, { term }) => ({
+    term,
+    suggestions,
+    count: suggestions.length,
+  }),
+};
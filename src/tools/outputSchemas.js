@@ -0,0 +1,332 @@
+/**
+ * Shared outputSchema entities for tool definitions
+ * Field types follow the parsers in src/parsers; values a store may omit are nullable.
+ * No property is required since results can be narrowed with `fields` and `exclude`.
+ */
+
+/**
+ * Allows null in addition to the given JSON Schema type(s)
+ */
+function nullable(type) {
+  return { type: [].concat(type, 'null') };
+}
+
+const nullableString = nullable('string');
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Builds an object schema
+ * @param {Object} properties - Property schemas
+ * @returns {Object}
+ */
+export function objectSchema(properties) {
+  return { type: 'object', properties };
+}
+
+/**
+ * Builds the schema of a `{ ..., <key>: [...], count }` list result
+ * @param {string} key - Property holding the items
+ * @param {Object} item - Item schema
+ * @param {Object} [extra] - Other properties of the result
+ * @returns {Object}
+ */
+export function listSchema(key, item, extra = {}) {
+  return objectSchema({
+    ...extra,
+    [key]: { type: 'array', items: item },
+    count: { type: 'integer' },
+  });
+}
+
+/**
+ * App Store app, as returned by app, search, list and developer
+ * Chart entries come from the RSS feed, where IDs are strings
+ */
+export const appStoreApp = objectSchema({
+  id: nullable(['integer', 'string']),
+  appId: nullableString,
+  title: nullableString,
+  url: nullableString,
+  description: nullableString,
+  releaseNotes: nullableString,
+  version: nullableString,
+  releaseDate: nullableString,
+  currentVersionReleaseDate: nullableString,
+  price: { type: 'number' },
+  currency: nullableString,
+  free: { type: 'boolean' },
+  developer: objectSchema({
+    id: nullable(['integer', 'string']),
+    name: nullableString,
+    url: nullableString,
+    website: nullableString,
+  }),
+  category: objectSchema({
+    id: nullable(['integer', 'string']),
+    name: nullableString,
+    genres: stringArray,
+  }),
+  rating: objectSchema({
+    average: nullable('number'),
+    count: { type: 'integer' },
+  }),
+  contentAdvisoryRating: nullableString,
+  screenshotUrls: stringArray,
+  ipadScreenshotUrls: stringArray,
+  appletvScreenshotUrls: stringArray,
+  artwork: objectSchema({
+    icon: nullableString,
+    icon60: nullableString,
+    icon100: nullableString,
+    icon512: nullableString,
+  }),
+  supportedDevices: stringArray,
+  minimumOsVersion: nullableString,
+  languageCodesISO2A: stringArray,
+  fileSizeBytes: nullable(['string', 'integer']),
+  sellerName: nullableString,
+  formattedPrice: nullableString,
+  isGameCenterEnabled: { type: 'boolean' },
+  features: stringArray,
+  advisories: stringArray,
+  kind: nullableString,
+  averageUserRatingForCurrentVersion: nullable('number'),
+  userRatingCountForCurrentVersion: { type: 'integer' },
+});
+
+/**
+ * App Store review from the customer reviews RSS feed
+ */
+export const appStoreReview = objectSchema({
+  id: nullableString,
+  userName: { type: 'string' },
+  userUrl: nullableString,
+  version: nullableString,
+  score: { type: 'integer', minimum: 0, maximum: 5 },
+  title: nullableString,
+  text: nullableString,
+  updated: nullableString,
+  url: nullableString,
+});
+
+/**
+ * App Store app linked from another app's page
+ */
+export const appStoreSimilarApp = objectSchema({
+  id: nullable(['integer', 'string']),
+  appId: nullableString,
+  title: nullableString,
+  url: nullableString,
+});
+
+/**
+ * App Store privacy label section
+ */
+export const privacyType = objectSchema({
+  privacyType: nullableString,
+  identifier: nullableString,
+  description: nullableString,
+  dataCategories: {
+    type: 'array',
+    items: objectSchema({
+      dataCategory: nullableString,
+      identifier: nullableString,
+      dataTypes: stringArray,
+    }),
+  },
+  purposes: { type: 'array' },
+});
+
+/**
+ * App Store release
+ */
+export const versionEntry = objectSchema({
+  versionDisplay: nullableString,
+  releaseNotes: nullableString,
+  releaseDate: nullableString,
+  releaseTimestamp: nullable(['string', 'number']),
+});
+
+/**
+ * Search suggestion
+ */
+export const suggestion = objectSchema({
+  term: { type: 'string' },
+  priority: { type: 'number' },
+});
+
+/**
+ * Google Play app details page
+ */
+export const googlePlayApp = objectSchema({
+  appId: nullableString,
+  title: nullableString,
+  url: nullableString,
+  summary: nullableString,
+  description: nullableString,
+  developer: nullableString,
+  developerId: nullableString,
+  developerEmail: nullableString,
+  developerWebsite: nullableString,
+  developerAddress: nullableString,
+  icon: nullableString,
+  headerImage: nullableString,
+  score: nullable('number'),
+  scoreText: nullableString,
+  ratings: { type: 'integer' },
+  reviews: { type: 'integer' },
+  price: nullable('number'),
+  priceText: nullableString,
+  free: { type: 'boolean' },
+  currency: nullableString,
+  version: nullableString,
+  contentRating: nullableString,
+  contentRatingDescription: nullableString,
+  adSupported: nullable('boolean'),
+  inAppPurchases: nullable('boolean'),
+  screenshots: stringArray,
+  video: nullableString,
+  videoImage: nullableString,
+  recentChanges: nullableString,
+  comments: { type: 'array' },
+  editorsChoice: { type: 'boolean' },
+  category: nullableString,
+  categoryId: nullableString,
+  size: nullableString,
+  androidVersion: nullableString,
+  androidVersionText: nullableString,
+  updated: nullableString,
+  installs: nullableString,
+  minInstalls: nullable('integer'),
+  maxInstalls: nullable('integer'),
+  requiresAndroid: nullableString,
+  permissions: { type: 'array' },
+  similarApps: { type: 'array' },
+});
+
+/**
+ * Google Play app entry of a search result, chart, developer page or similar apps section
+ * Only appId and url are always present
+ */
+export const googlePlayAppEntry = objectSchema({
+  appId: { type: 'string' },
+  url: { type: 'string' },
+  title: nullableString,
+  icon: nullableString,
+  score: nullable('number'),
+  scoreText: nullableString,
+  priceText: nullableString,
+  free: nullable('boolean'),
+  summary: nullableString,
+  developer: nullableString,
+  developerId: nullableString,
+});
+
+/**
+ * Google Play review
+ */
+export const googlePlayReview = objectSchema({
+  reviewId: nullableString,
+  userName: { type: 'string' },
+  userImage: nullableString,
+  date: nullableString,
+  dateText: nullableString,
+  score: { type: ['number', 'string'] },
+  scoreText: { type: 'string' },
+  title: nullableString,
+  text: nullableString,
+  replyDate: nullableString,
+  replyText: nullableString,
+  version: nullableString,
+  thumbsUp: { type: ['integer', 'string'] },
+  criterias: { type: 'array' },
+});
+
+/**
+ * Google Play permission, a plain name when `short` is set
+ */
+export const permission = {
+  anyOf: [
+    { type: 'string' },
+    objectSchema({
+      permission: { type: 'string' },
+      type: { type: 'string' },
+    }),
+  ],
+};
+
+/**
+ * Google Play data safety entry (data shared or collected)
+ */
+export const dataSafetyItem = objectSchema({
+  data: { type: 'string' },
+  optional: { type: 'boolean' },
+  purpose: nullableString,
+  type: nullableString,
+});
+
+/**
+ * Google Play data safety security practice
+ */
+export const securityPractice = objectSchema({
+  practice: { type: 'string' },
+  description: nullableString,
+});
+
+/**
+ * App of either store in the unified model (`model: 'unified'`), see parsers/unifiedApp.js
+ */
+export const unifiedApp = objectSchema({
+  store: { type: 'string', enum: ['appstore', 'googleplay'] },
+  id: nullable(['integer', 'string']),
+  bundleId: nullableString,
+  title: nullableString,
+  summary: nullableString,
+  description: nullableString,
+  url: nullableString,
+  category: objectSchema({
+    id: nullable(['integer', 'string']),
+    name: nullableString,
+  }),
+  version: nullableString,
+  releaseNotes: nullableString,
+  released: nullableString,
+  updated: nullableString,
+  pricing: objectSchema({
+    free: nullable('boolean'),
+    price: nullable('number'),
+    currency: nullableString,
+    priceText: nullableString,
+    inAppPurchases: nullable('boolean'),
+    adSupported: nullable('boolean'),
+  }),
+  rating: objectSchema({
+    average: nullable('number'),
+    count: nullable('integer'),
+  }),
+  developer: objectSchema({
+    id: nullable(['integer', 'string']),
+    name: nullableString,
+    url: nullableString,
+    website: nullableString,
+    email: nullableString,
+  }),
+  media: objectSchema({
+    icon: nullableString,
+    screenshots: stringArray,
+    video: nullableString,
+  }),
+  compatibility: objectSchema({
+    platform: { type: 'string', enum: ['ios', 'android'] },
+    minOsVersion: nullableString,
+    devices: stringArray,
+    languages: stringArray,
+    sizeBytes: nullable('integer'),
+  }),
+  contentRating: objectSchema({
+    label: nullableString,
+    descriptors: stringArray,
+  }),
+  appstore: { type: 'object' },
+  googleplay: { type: 'object' },
+});
@@ -0,0 +1,163 @@
+/**
+ * Field projection of tool results (`fields` and `exclude` arguments)
+ * Paths are comma-separated dot paths, e.g. "title,rating.average,developer.name".
+ * Arrays are traversed, so "results.title" selects the title of every result, and
+ * a path that doesn't start with a top-level field applies to the items of the
+ * result's lists ("title" on `list` is "results.title").
+ */
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Splits a comma-separated list of dot paths
+ * @param {string} [value] - e.g. "title,rating.average"
+ * @returns {Array<Array<string>>}
+ */
+export function parsePaths(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .map(path => path.trim())
+    .filter(Boolean)
+    .map(path => path.split('.').filter(Boolean));
+}
+
+/**
+ * Resolves paths against a result, prefixing item paths with the result's list fields
+ * Only arrays of objects are lists of items; arrays of strings (screenshot URLs, genres) are plain fields
+ * @returns {Object} { paths, itemPaths } where itemPaths tells whether any path was prefixed
+ */
+function resolvePaths(result, paths) {
+  const listKeys = Object.keys(result).filter(key => Array.isArray(result[key]) && result[key].every(isObject));
+  let itemPaths = false;
+
+  const resolved = paths.flatMap((path) => {
+    if (path[0] in result || listKeys.length === 0) {
+      return [path];
+    }
+    itemPaths = true;
+    return listKeys.map(key => [key, ...path]);
+  });
+
+  return { paths: resolved, itemPaths };
+}
+
+/**
+ * Builds a tree of nested keys from paths, `true` marking a selected subtree
+ */
+function buildTree(paths) {
+  const tree = {};
+
+  for (const path of paths) {
+    let node = tree;
+    for (const [index, key] of path.entries()) {
+      if (node[key] === true) {
+        break;
+      }
+      if (index === path.length - 1) {
+        node[key] = true;
+      } else {
+        node[key] = node[key] || {};
+        node = node[key];
+      }
+    }
+  }
+
+  return tree;
+}
+
+/**
+ * Keeps only the selected subtrees of a value
+ */
+function pick(value, tree) {
+  if (tree === true) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => pick(item, tree)).filter(item => item !== undefined);
+  }
+  if (!isObject(value)) {
+    return undefined;
+  }
+
+  const picked = {};
+  for (const key of Object.keys(value)) {
+    if (key in tree) {
+      const selected = pick(value[key], tree[key]);
+      if (selected !== undefined) {
+        picked[key] = selected;
+      }
+    }
+  }
+  return picked;
+}
+
+/**
+ * Removes the selected subtrees of a value
+ */
+function omit(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map(item => omit(item, tree));
+  }
+  if (!isObject(value)) {
+    return value;
+  }
+
+  const kept = { ...value };
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (!(key in kept)) {
+      continue;
+    }
+    if (subtree === true) {
+      delete kept[key];
+    } else {
+      kept[key] = omit(kept[key], subtree);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Applies `fields` and `exclude` to a tool result
+ * When `fields` only names item fields, the scalar fields around the list (count, page, ...) are kept
+ * @param {*} result - Shaped tool result
+ * @param {Object} options - Tool arguments
+ * @param {string} [options.fields] - Comma-separated paths to keep
+ * @param {string} [options.exclude] - Comma-separated paths to remove
+ * @returns {*} Projected result
+ */
+export function project(result, { fields, exclude } = {}) {
+  if (!isObject(result)) {
+    return result;
+  }
+
+  let projected = result;
+  const fieldPaths = parsePaths(fields);
+  const excludePaths = parsePaths(exclude);
+
+  if (fieldPaths.length > 0) {
+    const { paths, itemPaths } = resolvePaths(result, fieldPaths);
+    const tree = buildTree(paths);
+
+    if (itemPaths) {
+      for (const [key, value] of Object.entries(result)) {
+        if (!(key in tree) && !isObject(value) && !Array.isArray(value)) {
+          tree[key] = true;
+        }
+      }
+    }
+
+    projected = pick(result, tree);
+  }
+
+  if (excludePaths.length > 0) {
+    projected = omit(projected, buildTree(resolvePaths(result, excludePaths).paths));
+  }
+
+  return projected;
+}
@@ -0,0 +1,307 @@
+/**
+ * Tool registry
+ * Every module in a store directory under src/tools (appStore, googlePlay, ...)
+ * or in src/tools/common (tools working across stores)
+ * default-exports one tool definition and is registered automatically:
+ *
+ * {
+ *   name, description, inputSchema,   // advertised to MCP clients, arguments are validated against it
+ *   outputSchema,                      // advertised to MCP clients, describes the shaped result
+ *   listKey,                           // optional, result property holding the list of items
+ *   columns,                           // optional, default table columns of the list items
+ *   fetchType: 'json' | 'text',        // how the store response is read
+ *   buildUrl(args),                    // endpoint URL builder
+ *   parse(data, args),                 // parser, null means not found
+ *   notFound,                          // NOT_FOUND message used when parse gives null
+ *   unrecognized(parsed),              // optional, true when the page structure has changed
+ *   shape(parsed, args),               // optional response shaper
+ * }
+ *
+ * Tools built on other tools define `run(args, { signal, getTool, runTool })` instead of
+ * fetchType, buildUrl and parse; its result is shaped, projected and budgeted the same way
+ *
+ * The registry adds the `fields` and `exclude` arguments to every tool and applies
+ * them to the shaped result, see projection.js. Tools with a `listKey` also get the
+ * `maxItems`, `maxBytes` and `cursor` arguments, see budget.js, and tools with
+ * `columns` the `format` argument, see formats.js
+ *
+ * Tools left out by the `tools.allow` / `tools.deny` settings are not registered, see src/config.js
+ *
+ * Results are returned as structuredContent with a compact JSON text rendering,
+ * failures as typed errors, see src/errors.js
+ */
+
+import { readdir } from 'node:fs/promises';
+
+import { fetchJSON, fetchText } from '../httpClient.js';
+import { StoreError, ErrorCode, toStoreError } from '../errors.js';
+import { config } from '../config.js';
+import { validateArgs } from './validate.js';
+import { project } from './projection.js';
+import { applyBudget, continueFromCursor } from './budget.js';
+import { formatResult } from './formats.js';
+import {
+  fieldsProperty,
+  excludeProperty,
+  maxItemsProperty,
+  maxBytesProperty,
+  cursorProperty,
+  formatProperty,
+} from './schema.js';
+
+const TOOLS_DIR = new URL('./', import.meta.url);
+
+const tools = await loadTools();
+
+/**
+ * Listeners notified of successful tool calls
+ */
+const resultListeners = [];
+
+/**
+ * Imports every tool definition from the store directories
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadTools() {
+  const registry = new Map();
+  const entries = await readdir(TOOLS_DIR, { withFileTypes: true });
+  const storeDirs = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+
+  for (const dir of storeDirs) {
+    const files = (await readdir(new URL(`${dir}/`, TOOLS_DIR)))
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      const { default: tool } = await import(new URL(`${dir}/${file}`, TOOLS_DIR));
+
+      if (!tool || !tool.name) {
+        throw new Error(`Tool module ${dir}/${file} has no default tool definition`);
+      }
+      if (registry.has(tool.name)) {
+        throw new Error(`Duplicate tool name "${tool.name}" in ${dir}/${file}`);
+      }
+
+      registry.set(tool.name, withCommonArguments(tool));
+    }
+  }
+
+  return filterTools(registry, config.tools);
+}
+
+/**
+ * Keeps the tools exposed by the allowlist and denylist
+ * @param {Map<string, Object>} registry - Every tool definition
+ * @param {Object} settings - { allow, deny }, allow null exposes every tool
+ * @returns {Map<string, Object>}
+ * @throws {Error} When a setting names an unknown tool
+ */
+function filterTools(registry, { allow, deny }) {
+  const unknown = [...(allow || []), ...deny].filter(name => !registry.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid configuration: unknown tools in tools.allow / tools.deny: ${unknown.join(', ')}`);
+  }
+
+  for (const name of registry.keys()) {
+    if ((allow && !allow.includes(name)) || deny.includes(name)) {
+      registry.delete(name);
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Adds the arguments handled by the registry to a tool definition
+ */
+function withCommonArguments(tool) {
+  tool.inputSchema.properties = {
+    ...tool.inputSchema.properties,
+    fields: fieldsProperty,
+    exclude: excludeProperty,
+  };
+
+  if (tool.listKey) {
+    tool.inputSchema.properties = {
+      ...tool.inputSchema.properties,
+      maxItems: maxItemsProperty,
+      maxBytes: maxBytesProperty,
+      cursor: cursorProperty,
+    };
+    tool.outputSchema.properties = {
+      ...tool.outputSchema.properties,
+      remaining: { type: 'integer' },
+      cursor: { type: 'string' },
+    };
+  }
+
+  if (tool.columns) {
+    tool.inputSchema.properties = {
+      ...tool.inputSchema.properties,
+      format: formatProperty,
+    };
+  }
+
+  return tool;
+}
+
+/**
+ * Returns a registered tool definition
+ * @param {string} name - Tool name
+ * @returns {Object|undefined}
+ */
+export function getTool(name) {
+  return tools.get(name);
+}
+
+/**
+ * Lists the registered tools as advertised to MCP clients
+ * @returns {Array<Object>}
+ */
+export function listTools() {
+  return Array.from(tools.values(), ({ name, description, inputSchema, outputSchema }) => ({
+    name,
+    description,
+    inputSchema,
+    outputSchema,
+  }));
+}
+
+/**
+ * Registers a listener called with (name, args, result) after each successful tool call
+ * @param {Function} listener - Listener
+ */
+export function onToolResult(listener) {
+  resultListeners.push(listener);
+}
+
+/**
+ * Fills in the defaults declared in a tool's inputSchema
+ */
+function applyDefaults(tool, args) {
+  const withDefaults = { ...args };
+
+  for (const [key, property] of Object.entries(tool.inputSchema.properties || {})) {
+    if (withDefaults[key] === undefined && property.default !== undefined) {
+      withDefaults[key] = property.default;
+    }
+  }
+
+  return withDefaults;
+}
+
+/**
+ * Wraps a result as MCP structured content with a compact text rendering
+ * (or the given text, e.g. a table)
+ */
+function toolResult(data, isError = false, text = null) {
+  const result = {
+    content: [
+      {
+        type: 'text',
+        text: text ?? JSON.stringify(data),
+      },
+    ],
+  };
+
+  if (isError) {
+    result.isError = true;
+  } else {
+    result.structuredContent = data;
+  }
+
+  return result;
+}
+
+/**
+ * Runs a tool: builds its URL, fetches, parses (or runs a composite tool), shapes, projects and budgets the response
+ * or continues a truncated response from its cursor
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Tool arguments
+ * @param {AbortSignal} [signal] - Cancellation signal of the MCP request
+ * @returns {Promise<*>} Shaped result
+ * @throws {StoreError} Typed error, e.g. INVALID_ARGUMENT or NOT_FOUND
+ */
+export async function runTool(tool, args = {}, signal) {
+  if (tool.listKey && args?.cursor !== undefined) {
+    return continueFromCursor(tool, args);
+  }
+
+  const params = applyDefaults(tool, validateArgs(tool.inputSchema, args));
+  const parsed = tool.run
+    ? await tool.run(params, { signal, getTool, runTool })
+    : await fetchAndParse(tool, params, signal);
+
+  const result = project(tool.shape ? tool.shape(parsed, params) : parsed, params);
+  return tool.listKey ? applyBudget(tool, result, params) : result;
+}
+
+/**
+ * Fetches and parses the store response of a tool
+ * @returns {Promise<*>} Parsed response
+ * @throws {StoreError} NOT_FOUND, PARSE_FAILED or UPSTREAM_CHANGED, or the fetch error
+ */
+async function fetchAndParse(tool, params, signal) {
+  const url = tool.buildUrl(params);
+  const fetchOptions = { cache: params.cache, country: params.country, signal };
+  const data = tool.fetchType === 'json'
+    ? await fetchJSON(url, fetchOptions)
+    : await fetchText(url, fetchOptions);
+
+  let parsed;
+  try {
+    parsed = tool.parse(data, params);
+  } catch (error) {
+    throw new StoreError(ErrorCode.PARSE_FAILED, `Failed to parse response from ${url}: ${error.message}`, {
+      url,
+      cause: error,
+    });
+  }
+
+  if (!parsed && tool.notFound) {
+    throw new StoreError(ErrorCode.NOT_FOUND, tool.notFound, { url });
+  }
+
+  if (tool.unrecognized && tool.unrecognized(parsed)) {
+    throw new StoreError(ErrorCode.UPSTREAM_CHANGED, `Unrecognized page structure at ${url}, the store layout may have changed`, { url });
+  }
+
+  return parsed;
+}
+
+/**
+ * Calls a tool by name and wraps the outcome as an MCP tool result
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {AbortSignal} [signal] - Cancellation signal of the MCP request
+ * @returns {Promise<Object>}
+ */
+export async function callTool(name, args, signal) {
+  const tool = getTool(name);
+
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  let result;
+  try {
+    result = await runTool(tool, args, signal);
+  } catch (error) {
+    return toolResult(toStoreError(error).toJSON(), true);
+  }
+
+  // Listeners only keep track of results, a failing one must not fail the call
+  for (const listener of resultListeners) {
+    try {
+      listener(name, args || {}, result);
+    } catch (error) {
+      console.error(`Tool result listener failed for ${name}: ${error.message}`);
+    }
+  }
+
+  try {
+    return toolResult(result, false, formatResult(tool, result, args));
+  } catch (error) {
+    return toolResult(toStoreError(error).toJSON(), true);
+  }
+}
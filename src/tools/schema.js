@@ -0,0 +1,129 @@
+/**
+ * Shared inputSchema properties for tool definitions
+ */
+
+import { CACHE_MODES } from '../cache.js';
+import { config } from '../config.js';
+import { FORMATS } from './formats.js';
+
+/**
+ * Two-letter storefront country
+ */
+export const countryProperty = {
+  type: 'string',
+  description: `Two-letter country code (default: ${config.defaults.country})`,
+  default: config.defaults.country,
+  format: 'country',
+};
+
+/**
+ * Language of the returned data
+ */
+export const langProperty = {
+  type: 'string',
+  description: `Language code (default: ${config.defaults.lang})`,
+  default: config.defaults.lang,
+};
+
+/**
+ * Cache mode accepted by every tool
+ */
+export const cacheProperty = {
+  type: 'string',
+  description: 'Cache mode: default (serve fresh cached data), bypass (skip the cache) or refresh (refetch and update the cache)',
+  default: 'default',
+  enum: CACHE_MODES,
+};
+
+/**
+ * Field selection accepted by every tool, see projection.js
+ */
+export const fieldsProperty = {
+  type: 'string',
+  description: 'Comma-separated dot paths of the fields to return, e.g. "title,rating.average,developer.name". ' +
+    'Paths that are not top-level fields apply to each item of the result list',
+};
+
+/**
+ * Field removal accepted by every tool, see projection.js
+ */
+export const excludeProperty = {
+  type: 'string',
+  description: 'Comma-separated dot paths of the fields to remove, e.g. "description,screenshotUrls,ipadScreenshotUrls"',
+};
+
+/**
+ * Item budget accepted by list-returning tools, see budget.js
+ */
+export const maxItemsProperty = {
+  type: 'integer',
+  description: 'Maximum number of list items to return; the rest can be fetched with the returned cursor',
+  minimum: 1,
+};
+
+/**
+ * Size budget accepted by list-returning tools, see budget.js
+ */
+export const maxBytesProperty = {
+  type: 'integer',
+  description: 'Maximum size of the JSON response in bytes (at least one item is always returned); ' +
+    'the rest can be fetched with the returned cursor',
+  minimum: 1,
+};
+
+/**
+ * Continuation cursor accepted by list-returning tools, see budget.js
+ */
+export const cursorProperty = {
+  type: 'string',
+  description: 'Cursor returned by a truncated response, continues from where it stopped (other arguments are ignored)',
+};
+
+/**
+ * Text format accepted by tools with table columns, see formats.js
+ */
+export const formatProperty = {
+  type: 'string',
+  description: 'Format of the text content: json, markdown (table) or csv; ' +
+    'tables have one row per list item, with the columns selected by `fields` or the default columns',
+  default: 'json',
+  enum: FORMATS,
+};
+
+/**
+ * Store URL accepted by store-agnostic tools, see dispatch.js
+ */
+export const storeUrlProperty = {
+  type: 'string',
+  description: 'App Store, iTunes, Google Play or market:// URL of the app, ' +
+    'e.g. https://apps.apple.com/us/app/spotify/id324684580 or https://play.google.com/store/apps/details?id=com.spotify.music',
+  minLength: 1,
+};
+
+/**
+ * Country of store-agnostic tools, which defaults to the country of the URL
+ */
+export const urlCountryProperty = {
+  type: 'string',
+  description: `Two-letter country code (default: from the URL, otherwise ${config.defaults.country})`,
+  format: 'country',
+};
+
+/**
+ * Language of store-agnostic tools, which defaults to the language of the URL
+ */
+export const urlLangProperty = {
+  type: 'string',
+  description: `Language code, Google Play only (default: from the URL, otherwise ${config.defaults.lang})`,
+};
+
+/**
+ * App model accepted by the app detail tools, see parsers/unifiedApp.js
+ */
+export const modelProperty = {
+  type: 'string',
+  description: 'Shape of the app: store (the store\'s own fields, default) or unified ' +
+    '(same fields for both stores: pricing, rating, developer, media, compatibility, contentRating; store-specific extras under appstore / googleplay)',
+  default: 'store',
+  enum: ['store', 'unified'],
+};
@@ -0,0 +1,208 @@
+/**
+ * Tool argument validation against a tool's inputSchema
+ * Supports the JSON Schema subset used by the tool definitions, coerces
+ * safe values (numeric strings, "true"/"false", country code case) and
+ * collects every invalid field instead of stopping at the first one
+ */
+
+import { StoreError, ErrorCode } from '../errors.js';
+
+/**
+ * ISO 3166-1 alpha-2 country codes, used by `format: 'country'`
+ */
+const COUNTRY_CODES = new Set(`
+  ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bl bm bn bo bq br bs bt bv bw by bz
+  ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm do dz ec ee eg eh er es et fi fj fk fm fo fr
+  ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie il im in io iq ir is it je jm jo
+  jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md me mf mg mh mk ml mm mn mo mp mq mr
+  ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf pg ph pk pl pm pn pr ps pt pw py qa re ro
+  rs ru rw sa sb sc sd se sg sh si sj sk sl sm sn so sr ss st sv sx sy sz tc td tf tg th tj tk tl tm tn to tr tt tv
+  tw tz ua ug um us uy uz va vc ve vg vi vn vu wf ws ye yt za zm zw
+`.trim().split(/\s+/));
+
+/**
+ * Error thrown when tool arguments don't match the inputSchema
+ */
+export class ValidationError extends StoreError {
+  /**
+   * @param {Array<Object>} errors - Invalid fields as { field, message, received }
+   */
+  constructor(errors) {
+    super(
+      ErrorCode.INVALID_ARGUMENT,
+      `Invalid arguments: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`
+    );
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      errors: this.errors,
+    };
+  }
+}
+
+/**
+ * Short, JSON-safe description of a received value for error payloads
+ */
+function describe(value) {
+  if (typeof value === 'string' && value.length > 100) {
+    return `${value.slice(0, 100)}...`;
+  }
+  return value;
+}
+
+/**
+ * Coerces a value to the schema type when it is safe to do so
+ */
+function coerce(schema, value) {
+  if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  if (schema.format === 'country' && typeof value === 'string') {
+    return value.trim().toLowerCase();
+  }
+
+  return value;
+}
+
+/**
+ * Whether a value matches a schema type
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validates one value, pushing problems to errors
+ * @returns {*} The coerced value
+ */
+function validateValue(schema, rawValue, field, errors) {
+  const value = coerce(schema, rawValue);
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ field, message: `must be of type ${schema.type}`, received: describe(rawValue) });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}`, received: describe(rawValue) });
+  }
+
+  if (schema.format === 'country' && !COUNTRY_CODES.has(value)) {
+    errors.push({ field, message: 'must be an ISO 3166-1 alpha-2 country code (e.g., us, gb, de)', received: describe(rawValue) });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}`, received: value });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ field, message: `must be > ${schema.exclusiveMinimum}`, received: value });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}`, received: value });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ field, message: `must be at least ${schema.minLength} characters`, received: describe(rawValue) });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} items`, received: value.length });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items`, received: value.length });
+    }
+    if (schema.items) {
+      return value.map((item, index) => validateValue(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    return validateObject(schema, value, `${field}.`, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Validates an object against properties, additionalProperties: false, required and anyOf-of-required
+ */
+function validateObject(schema, object, prefix, errors) {
+  const result = { ...object };
+  const isMissing = key => result[key] === undefined || result[key] === null || result[key] === '';
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (!isMissing(key)) {
+      result[key] = validateValue(property, result[key], `${prefix}${key}`, errors);
+    }
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const key of Object.keys(result).filter(key => !(key in (schema.properties || {})))) {
+      errors.push({ field: `${prefix}${key}`, message: 'is not a known field' });
+    }
+  }
+
+  for (const key of schema.required || []) {
+    if (isMissing(key)) {
+      errors.push({ field: `${prefix}${key}`, message: 'is required' });
+    }
+  }
+
+  // anyOf is only used to express "one of these fields is required"
+  if (schema.anyOf && !schema.anyOf.some(option => (option.required || []).every(key => !isMissing(key)))) {
+    const fields = schema.anyOf.flatMap(option => option.required || []).map(key => `${prefix}${key}`);
+    errors.push({ field: fields.join(' or '), message: 'is required' });
+  }
+
+  return result;
+}
+
+/**
+ * Validates and coerces tool arguments
+ * @param {Object} schema - Tool inputSchema
+ * @param {Object} args - Raw tool arguments
+ * @returns {Object} Coerced arguments
+ * @throws {ValidationError} When any field is invalid
+ */
+export function validateArgs(schema, args = {}) {
+  const errors = [];
+
+  if (!matchesType('object', args)) {
+    throw new ValidationError([{ field: 'arguments', message: 'must be an object', received: describe(args) }]);
+  }
+
+  const value = validateObject(schema, args, '', errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return value;
+}
@@ -0,0 +1,65 @@
+/**
+ * Response budget and cursor continuation tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyBudget, continueFromCursor } from '../src/tools/budget.js';
+
+const TOOL = { name: 'as_list', listKey: 'results' };
+
+const RESULT = {
+  chart: 'topfreeapplications',
+  results: [1, 2, 3, 4, 5].map(id => ({ id, title: `App ${id}` })),
+  count: 5,
+};
+
+test('results within budget are returned unchanged', () => {
+  assert.equal(applyBudget(TOOL, RESULT, {}), RESULT);
+  assert.deepEqual(applyBudget(TOOL, RESULT, { maxItems: 5 }), RESULT);
+});
+
+test('a cursor continues where maxItems stopped, with the budget of the first call', () => {
+  const first = applyBudget(TOOL, RESULT, { maxItems: 2 });
+  assert.deepEqual(first.results.map(app => app.id), [1, 2]);
+  assert.equal(first.count, 2);
+  assert.equal(first.remaining, 3);
+  assert.equal(first.chart, 'topfreeapplications');
+  assert.equal(typeof first.cursor, 'string');
+
+  const second = continueFromCursor(TOOL, { cursor: first.cursor });
+  assert.deepEqual(second.results.map(app => app.id), [3, 4]);
+  assert.equal(second.remaining, 1);
+  assert.equal(second.chart, 'topfreeapplications');
+
+  const last = continueFromCursor(TOOL, { cursor: second.cursor });
+  assert.deepEqual(last.results.map(app => app.id), [5]);
+  assert.equal(last.count, 1);
+  assert.equal(last.remaining, undefined);
+  assert.equal(last.cursor, undefined);
+});
+
+test('a follow-up call can change the budget and retry the same cursor', () => {
+  const { cursor } = applyBudget(TOOL, RESULT, { maxItems: 1 });
+
+  assert.deepEqual(continueFromCursor(TOOL, { cursor, maxItems: '10' }).results.map(app => app.id), [2, 3, 4, 5]);
+  assert.deepEqual(continueFromCursor(TOOL, { cursor }).results.map(app => app.id), [2]);
+});
+
+test('maxBytes cuts after the last item that fits and always keeps one', () => {
+  const page = applyBudget(TOOL, RESULT, { maxBytes: 160 });
+  assert.deepEqual(page.results.map(app => app.id), [1, 2]);
+  assert.equal(page.remaining, 3);
+  assert.ok(Buffer.byteLength(JSON.stringify(page)) <= 160);
+  assert.ok(Buffer.byteLength(JSON.stringify(applyBudget(TOOL, RESULT, { maxItems: 3 }))) > 160);
+
+  assert.deepEqual(applyBudget(TOOL, RESULT, { maxBytes: 1 }).results, [RESULT.results[0]]);
+});
+
+test('unknown cursors and cursors of other tools are rejected', () => {
+  const { cursor } = applyBudget(TOOL, RESULT, { maxItems: 1 });
+
+  assert.throws(() => continueFromCursor(TOOL, { cursor: 'AAAAAAAAAAAAAAAA' }), { code: 'INVALID_ARGUMENT', message: /Unknown or expired cursor/ });
+  assert.throws(() => continueFromCursor({ name: 'gp_list', listKey: 'results' }, { cursor }), { code: 'INVALID_ARGUMENT', message: /gp_list/ });
+});
@@ -0,0 +1,35 @@
+/**
+ * On-disk response cache tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const cacheDir = await mkdtemp(join(tmpdir(), 'store-scraper-cache-'));
+process.env.STORE_SCRAPER_CACHE_DIR = cacheDir;
+process.env.STORE_SCRAPER_CACHE_DISK_SIZE = '5';
+const { setCached, clearCache } = await import('../src/cache.js');
+
+test.after(() => rm(cacheDir, { recursive: true, force: true }));
+
+/**
+ * Names of the cache entry files
+ */
+async function entryFiles() {
+  return (await readdir(cacheDir)).filter(name => /^[0-9a-f]{64}\.json$/.test(name));
+}
+
+test('the disk store is capped and clearCache leaves other files alone', async () => {
+  await writeFile(join(cacheDir, 'notes.txt'), 'not a cache entry');
+
+  for (let id = 0; id < 102; id++) {
+    await setCached(`https://itunes.apple.com/lookup?id=${id}`, '{}');
+  }
+  assert.ok((await entryFiles()).length <= 6, 'pruned to the cap, plus the write after the prune');
+
+  await clearCache();
+  assert.deepEqual(await readdir(cacheDir), ['notes.txt']);
+});
@@ -0,0 +1,47 @@
+/**
+ * Cassette record and replay tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const cassetteDir = await mkdtemp(join(tmpdir(), 'store-scraper-cassette-'));
+process.env.STORE_SCRAPER_CASSETTE_DIR = cassetteDir;
+process.env.STORE_SCRAPER_CASSETTE = 'record';
+const { cassettePath, recordResponse, replayResponse } = await import('../src/cassette.js');
+const { fetchText } = await import('../src/httpClient.js');
+
+test.after(() => rm(cassetteDir, { recursive: true, force: true }));
+
+test('a URL that was never recorded is a CASSETTE_MISS, not a missing app', async () => {
+  await assert.rejects(replayResponse('https://itunes.apple.com/lookup?id=404404'), {
+    name: 'StoreError',
+    code: 'CASSETTE_MISS',
+    retryable: false,
+    message: /Recording missing/,
+    url: 'https://itunes.apple.com/lookup?id=404404',
+  });
+});
+
+test('recorded error statuses fail as live requests do', async () => {
+  const url = 'https://play.google.com/store/apps/details?id=com.example.gone&gl=us&hl=en';
+  await recordResponse(url, new Response('Not Found', { status: 404, headers: { 'content-type': 'text/html' } }));
+
+  await assert.rejects(replayResponse(url), { code: 'NOT_FOUND', status: 404 });
+});
+
+test('record mode records error responses of live requests', async (context) => {
+  const url = 'https://play.google.com/store/apps/details?id=com.example.removed&gl=us&hl=en';
+  context.mock.method(globalThis, 'fetch', async () =>
+    new Response('Not Found', { status: 404, statusText: 'Not Found', headers: { 'content-type': 'text/html' } })
+  );
+
+  await assert.rejects(fetchText(url), { code: 'NOT_FOUND', status: 404 });
+
+  const recorded = JSON.parse(await readFile(cassettePath(url), 'utf8'));
+  assert.equal(recorded.status, 404);
+  await assert.rejects(replayResponse(url), { code: 'NOT_FOUND', status: 404 });
+});
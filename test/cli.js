@@ -0,0 +1,101 @@
+/**
+ * Command line tests, run against recorded store responses (no network access)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const cassetteDir = await mkdtemp(join(tmpdir(), 'store-scraper-cli-'));
+process.env.STORE_SCRAPER_CASSETTE_DIR = cassetteDir;
+const { recordResponse } = await import('../src/cassette.js');
+
+/**
+ * Google Play app page with two reviews in its JSON-LD
+ */
+const REVIEWS_PAGE = `<html><head><script type="application/ld+json">${JSON.stringify({
+  '@type': 'ItemList',
+  itemListElement: [
+    { '@type': 'Review', '@id': 'review-1', author: { name: 'Ann' }, reviewRating: { ratingValue: 5 }, reviewBody: 'Great' },
+    { '@type': 'Review', '@id': 'review-2', author: { name: 'Bob' }, reviewRating: { ratingValue: 2 }, reviewBody: 'Meh' },
+  ],
+})}</script></head></html>`;
+
+/**
+ * Runs the CLI in replay mode
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, STORE_SCRAPER_CASSETTE: 'replay', STORE_SCRAPER_CASSETTE_DIR: cassetteDir },
+    timeout: 30000,
+  });
+}
+
+test.after(() => rm(cassetteDir, { recursive: true, force: true }));
+
+test('--pages stops when Google Play serves the same reviews for every page', async () => {
+  await recordResponse(
+    'https://play.google.com/store/apps/details?id=com.example.app&gl=us&hl=en#Reviews',
+    new Response(REVIEWS_PAGE, { headers: { 'content-type': 'text/html' } })
+  );
+
+  const { status, stdout, stderr } = runCli(['gp_reviews', '--appId', 'com.example.app', '--pages', '3']);
+  assert.equal(status, 0, stderr);
+
+  const result = JSON.parse(stdout);
+  assert.deepEqual(result.data.map(review => review.reviewId), ['review-1', 'review-2']);
+  assert.equal(result.page, 0);
+});
+
+test('--pages stops at the last page the tool accepts', async () => {
+  for (const page of [9, 10]) {
+    const entry = { id: { label: `review-${page}` }, author: { name: { label: 'Ann' } }, 'im:rating': { label: '4' }, content: { label: 'Fine' } };
+    await recordResponse(
+      `https://itunes.apple.com/us/rss/customerreviews/page=${page}/id=1/sortby=mostRecent/json`,
+      new Response(JSON.stringify({ feed: { entry: [{}, entry] } }), { headers: { 'content-type': 'application/json' } })
+    );
+  }
+
+  const { status, stdout, stderr } = runCli(['reviews', '--id', '1', '--page', '9', '--pages', '5']);
+  assert.equal(status, 0, stderr);
+  assert.deepEqual(JSON.parse(stdout).reviews.map(review => review.id), ['review-9', 'review-10']);
+});
+
+test('array arguments accept comma-separated values and JSON arrays', async () => {
+  const apps = [11, 12].map(id => ({ wrapperType: 'software', kind: 'software', trackId: id, trackName: `App ${id}`, bundleId: `com.example.app${id}` }));
+  await recordResponse(
+    'https://itunes.apple.com/lookup?id=11,12&country=us',
+    new Response(JSON.stringify({ resultCount: 2, results: apps }), { headers: { 'content-type': 'application/json' } })
+  );
+
+  const listed = runCli(['apps', '--ids', '11,12', '--fields', 'id,title']);
+  assert.equal(listed.status, 0, listed.stderr);
+  assert.deepEqual(JSON.parse(listed.stdout).apps, [{ id: 11, title: 'App 11' }, { id: 12, title: 'App 12' }]);
+
+  const batched = runCli(['batch', '--calls', '[{ "tool": "apps", "args": { "ids": [11, 12] } }]', '--fields', 'succeeded']);
+  assert.equal(batched.status, 0, batched.stderr);
+  assert.deepEqual(JSON.parse(batched.stdout), { succeeded: 1 });
+});
+
+test('truncated results have no cursor, since it could not be redeemed', async () => {
+  const apps = [11, 12].map(id => ({ wrapperType: 'software', kind: 'software', trackId: id, trackName: `App ${id}`, bundleId: `com.example.app${id}` }));
+  await recordResponse(
+    'https://itunes.apple.com/lookup?id=11,12&country=us',
+    new Response(JSON.stringify({ resultCount: 2, results: apps }), { headers: { 'content-type': 'application/json' } })
+  );
+
+  const { status, stdout, stderr } = runCli(['apps', '--ids', '11,12', '--maxItems', '1']);
+  assert.equal(status, 0, stderr);
+
+  const result = JSON.parse(stdout);
+  assert.equal(result.remaining, 1);
+  assert.equal(result.cursor, undefined);
+  assert.equal(runCli(['apps', '--cursor', 'abc']).status, 2);
+});
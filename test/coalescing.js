@@ -0,0 +1,31 @@
+/**
+ * Request coalescing tests, with a stubbed fetch standing in for the store
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STORE_SCRAPER_CACHE = 'off';
+const { getTool, runTool } = await import('../src/tools/registry.js');
+
+const DETAILS_PAGE = `<html><head><title>Example App - Apps on Google Play</title>
+<script type="application/ld+json">${JSON.stringify({ '@type': 'SoftwareApplication', name: 'Example App' })}</script>
+</head><body></body></html>`;
+
+test('gp_app, gp_permissions, gp_similar and gp_datasafety share one details page fetch', async (context) => {
+  const urls = [];
+  context.mock.method(globalThis, 'fetch', async (url) => {
+    urls.push(url);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return new Response(DETAILS_PAGE, { headers: { 'content-type': 'text/html' } });
+  });
+
+  const results = await Promise.allSettled(['gp_app', 'gp_permissions', 'gp_similar', 'gp_datasafety'].map(name =>
+    runTool(getTool(name), { appId: 'com.example.app' })
+  ));
+
+  assert.deepEqual(urls, ['https://play.google.com/store/apps/details?id=com.example.app&gl=us&hl=en']);
+  for (const result of results) {
+    assert.notEqual(result.reason?.code, 'NETWORK_ERROR');
+  }
+});
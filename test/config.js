@@ -0,0 +1,43 @@
+/**
+ * Configuration tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadConfig } from '../src/config.js';
+
+const CONFIG_FILE = 'no-such-store-scraper.config.json';
+
+/**
+ * Loads the configuration from environment variables only
+ */
+function fromEnv(env) {
+  return loadConfig({ STORE_SCRAPER_CONFIG: undefined, ...env });
+}
+
+test('STORE_SCRAPER_CACHE accepts on/off, true/false and 1/0', () => {
+  for (const value of ['off', 'false', '0', 'OFF']) {
+    assert.equal(fromEnv({ STORE_SCRAPER_CACHE: value }).cache.enabled, false, value);
+  }
+  for (const value of ['on', 'true', '1']) {
+    assert.equal(fromEnv({ STORE_SCRAPER_CACHE: value }).cache.enabled, true, value);
+  }
+  assert.equal(fromEnv({}).cache.enabled, true);
+});
+
+test('unknown STORE_SCRAPER_CACHE values are configuration errors', () => {
+  assert.throws(() => fromEnv({ STORE_SCRAPER_CACHE: 'disabled' }), /Invalid configuration in environment variables: cache.enabled/);
+});
+
+test('a missing config file set explicitly is an error', () => {
+  assert.throws(() => loadConfig({ STORE_SCRAPER_CONFIG: CONFIG_FILE }), /Cannot read config file/);
+});
+
+test('STORE_SCRAPER_RATE_LIMITS is parsed and validated', () => {
+  assert.deepEqual(fromEnv({ STORE_SCRAPER_RATE_LIMITS: 'play.google.com=0.5:1' }).http.rateLimits, [
+    { host: 'play.google.com', requestsPerSecond: 0.5, maxConcurrency: 1 },
+  ]);
+  assert.throws(() => fromEnv({ STORE_SCRAPER_RATE_LIMITS: 'play.google.com=0' }), /requestsPerSecond must be > 0/);
+  assert.throws(() => fromEnv({ STORE_SCRAPER_RATE_LIMITS: 'play.google.com=1:0' }), /maxConcurrency must be >= 1/);
+});
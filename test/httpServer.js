@@ -0,0 +1,70 @@
+/**
+ * HTTP transport tests: Origin and Host checks against DNS rebinding
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+
+import { startHttpServer, closeSessions } from '../src/httpServer.js';
+
+const INITIALIZE = JSON.stringify({
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+});
+
+const httpServer = await startHttpServer({ host: '127.0.0.1', port: 0, origins: ['https://app.example.com'] });
+const { port } = httpServer.address();
+
+test.after(async () => {
+  await closeSessions();
+  httpServer.close();
+});
+
+/**
+ * Sends an initialize request with extra headers
+ * @returns {Promise<Object>} { status, sessionId }
+ */
+function initialize(headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      host: '127.0.0.1',
+      port,
+      path: '/mcp',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        ...headers,
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode, sessionId: res.headers['mcp-session-id'] }));
+    });
+    req.on('error', reject);
+    req.end(INITIALIZE);
+  });
+}
+
+test('requests without Origin get a session', async () => {
+  const { status, sessionId } = await initialize();
+  assert.equal(status, 200);
+  assert.ok(sessionId);
+});
+
+test('loopback and configured origins are allowed', async () => {
+  assert.equal((await initialize({ Origin: `http://localhost:${port}` })).status, 200);
+  assert.equal((await initialize({ Origin: 'https://app.example.com' })).status, 200);
+});
+
+test('other origins are rejected', async () => {
+  const { status, sessionId } = await initialize({ Origin: 'http://evil.example' });
+  assert.equal(status, 403);
+  assert.equal(sessionId, undefined);
+});
+
+test('non-loopback Host names are rejected on a loopback bind', async () => {
+  assert.equal((await initialize({ Host: `evil.example:${port}` })).status, 403);
+});
@@ -0,0 +1,87 @@
+/**
+ * Icon hashing tests, on PNG files built in memory
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+
+import { thumbnailUrl, decodePng, averageHash, hashSimilarity } from '../src/iconHash.js';
+
+/**
+ * Builds a PNG chunk (decodePng doesn't check CRCs, left at zero)
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * Builds an 8-bit PNG from filtered scanlines
+ * @param {Object} options - { width, height, colorType, depth }
+ * @param {Array<Array<number>>} lines - Filter type followed by the bytes of each row
+ */
+function png({ width, height, colorType, depth = 8 }, lines) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = depth;
+  header[9] = colorType;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(Buffer.from(lines.flat()))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * 16x16 grayscale image, black on the left half and white on the right
+ */
+function halves() {
+  return png({ width: 16, height: 16, colorType: 0 }, Array.from({ length: 16 }, (_, y) =>
+    y % 2 === 0
+      ? [0, ...Array(8).fill(0), ...Array(8).fill(255)]
+      : [1, ...Array(8).fill(0), 255, ...Array(7).fill(0)]
+  ));
+}
+
+test('thumbnail URLs of both stores\' image CDNs', () => {
+  assert.equal(
+    thumbnailUrl('https://is1-ssl.mzstatic.com/image/thumb/Purple/v4/ab/cd/AppIcon.png/512x512bb.jpg'),
+    'https://is1-ssl.mzstatic.com/image/thumb/Purple/v4/ab/cd/AppIcon.png/16x16bb.png'
+  );
+  assert.equal(thumbnailUrl('https://play-lh.googleusercontent.com/abc=w240-h480-rw'), 'https://play-lh.googleusercontent.com/abc=s16-rp');
+  assert.equal(thumbnailUrl('https://example.com/icon.png'), null);
+});
+
+test('grayscale PNG rows are unfiltered', () => {
+  const { width, height, gray } = decodePng(halves());
+
+  assert.equal(width, 16);
+  assert.equal(height, 16);
+  for (const y of [0, 1, 15]) {
+    assert.deepEqual(Array.from(gray.subarray(y * 16, y * 16 + 16)), [...Array(8).fill(0), ...Array(8).fill(255)]);
+  }
+});
+
+test('transparent pixels are blended on white', () => {
+  const { gray } = decodePng(png({ width: 2, height: 1, colorType: 6 }, [[0, 0, 0, 0, 0, 0, 0, 0, 255]]));
+  assert.deepEqual(Array.from(gray), [255, 0]);
+});
+
+test('other images are not decoded', () => {
+  assert.equal(decodePng(Buffer.from('<html>')), null);
+  assert.equal(decodePng(png({ width: 1, height: 1, colorType: 0, depth: 16 }, [[0, 0, 0]])), null);
+});
+
+test('average hash bits are set on cells brighter than the mean', () => {
+  const hash = averageHash(decodePng(halves()));
+  const row = [0, 0, 0, 0, 1, 1, 1, 1];
+
+  assert.deepEqual(hash, Array(8).fill(row).flat());
+  assert.equal(hashSimilarity(hash, hash), 1);
+  assert.equal(hashSimilarity(hash, hash.map(bit => 1 - bit)), 0);
+});
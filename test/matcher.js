@@ -0,0 +1,56 @@
+/**
+ * Cross-store match scoring tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scoreMatch } from '../src/matcher.js';
+
+const SPOTIFY = {
+  store: 'appstore',
+  title: 'Spotify: Music and Podcasts',
+  developer: 'Spotify AB',
+  website: 'https://www.spotify.com/us/',
+  icon: 'ios.png',
+};
+
+test('the same app in the other store scores on every signal', () => {
+  const candidate = { store: 'googleplay', title: 'Spotify - Music and Podcasts', developer: 'Spotify AB', website: 'https://spotify.com', icon: 'android.png' };
+  const hashes = new Map([['ios.png', [1, 0, 1, 0]], ['android.png', [1, 0, 1, 1]]]);
+
+  assert.deepEqual(scoreMatch(SPOTIFY, candidate, hashes), {
+    confidence: 0.96,
+    signals: { title: 1, developer: 1, domain: 1, icon: 0.75 },
+  });
+});
+
+test('subtitles, accents and legal suffixes are ignored', () => {
+  const { signals } = scoreMatch(
+    { title: 'Pokémon GO', developer: 'Niantic, Inc.' },
+    { title: 'Pokemon GO: Catch them all', developer: 'Niantic' }
+  );
+
+  assert.equal(signals.title, 1);
+  assert.equal(signals.developer, 1);
+});
+
+test('signals that cannot be computed are left out of the confidence', () => {
+  const { confidence, signals } = scoreMatch({ ...SPOTIFY, developer: '', website: undefined }, { title: 'Spotify: Music and Podcasts' });
+
+  assert.deepEqual(signals, { title: 1, developer: null, domain: null, icon: null });
+  assert.equal(confidence, 1);
+});
+
+test('domains compare registrable domains, and full hosts on shared hosting', () => {
+  const domain = (first, second) => scoreMatch({ website: first }, { website: second }).signals.domain;
+
+  assert.equal(domain('https://news.bbc.co.uk/app', 'https://www.bbc.co.uk'), 1);
+  assert.equal(domain('https://one.github.io', 'https://two.github.io'), 0);
+  assert.equal(domain('https://spotify.com', 'not a url'), null);
+});
+
+test('an unrelated app scores low', () => {
+  const { confidence } = scoreMatch(SPOTIFY, { title: 'Candy Crush Saga', developer: 'King', website: 'https://king.com' });
+  assert.ok(confidence < 0.2, `confidence ${confidence}`);
+});
@@ -0,0 +1,71 @@
+/**
+ * fields / exclude projection tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { project, parsePaths } from '../src/tools/projection.js';
+
+const APP = {
+  id: 553834731,
+  title: 'Candy Crush Saga',
+  rating: { average: 4.7, count: 3000000, histogram: { 1: 10, 5: 90 } },
+  developer: { id: 526656015, name: 'King', url: 'https://apps.apple.com/developer/id526656015' },
+  screenshotUrls: ['a.png', 'b.png'],
+};
+
+const LIST = {
+  chart: 'topfreeapplications',
+  country: 'us',
+  results: [
+    { id: 1, title: 'One', developer: { name: 'Dev One', id: 10 } },
+    { id: 2, title: 'Two', developer: { name: 'Dev Two', id: 20 } },
+  ],
+  count: 2,
+};
+
+test('paths are split on commas and dots, ignoring blanks', () => {
+  assert.deepEqual(parsePaths(' title , rating.average,,developer..name '), [['title'], ['rating', 'average'], ['developer', 'name']]);
+  assert.deepEqual(parsePaths(undefined), []);
+});
+
+test('fields keeps nested paths only', () => {
+  assert.deepEqual(project(APP, { fields: 'title,rating.average,developer.name' }), {
+    title: 'Candy Crush Saga',
+    rating: { average: 4.7 },
+    developer: { name: 'King' },
+  });
+});
+
+test('a selected parent keeps its whole subtree', () => {
+  assert.deepEqual(project(APP, { fields: 'rating,rating.average' }), { rating: APP.rating });
+});
+
+test('exclude removes nested paths and is applied after fields', () => {
+  assert.deepEqual(project(APP, { exclude: 'rating.histogram,screenshotUrls,developer.url' }), {
+    id: 553834731,
+    title: 'Candy Crush Saga',
+    rating: { average: 4.7, count: 3000000 },
+    developer: { id: 526656015, name: 'King' },
+  });
+  assert.deepEqual(project(APP, { fields: 'rating', exclude: 'rating.histogram' }), { rating: { average: 4.7, count: 3000000 } });
+});
+
+test('item paths apply to the list items and keep the scalar fields around the list', () => {
+  assert.deepEqual(project(LIST, { fields: 'title,developer.name' }), {
+    chart: 'topfreeapplications',
+    country: 'us',
+    results: [{ title: 'One', developer: { name: 'Dev One' } }, { title: 'Two', developer: { name: 'Dev Two' } }],
+    count: 2,
+  });
+  assert.deepEqual(project(LIST, { exclude: 'developer' }).results, [{ id: 1, title: 'One' }, { id: 2, title: 'Two' }]);
+});
+
+test('paths through arrays select the field of every item', () => {
+  assert.deepEqual(project(LIST, { fields: 'results.developer.id' }), { results: [{ developer: { id: 10 } }, { developer: { id: 20 } }] });
+});
+
+test('unknown paths are ignored', () => {
+  assert.deepEqual(project(APP, { fields: 'title,nope.deeper', exclude: 'missing' }), { title: 'Candy Crush Saga' });
+});
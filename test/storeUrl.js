@@ -0,0 +1,52 @@
+/**
+ * Store URL resolver tests, one case per supported URL form
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveStoreUrl } from '../src/storeUrl.js';
+
+test('App Store app pages, with and without country, slug or platform', () => {
+  assert.deepEqual(resolveStoreUrl('https://apps.apple.com/us/app/spotify/id324684580?l=es-MX'), {
+    store: 'appstore', id: 324684580, country: 'us', lang: 'es-MX',
+  });
+  assert.deepEqual(resolveStoreUrl('https://apps.apple.com/us/iphone/app/x/id12'), { store: 'appstore', id: 12, country: 'us', lang: null });
+  assert.deepEqual(resolveStoreUrl('https://apps.apple.com/de/ipad/app/id12'), { store: 'appstore', id: 12, country: 'de', lang: null });
+  assert.deepEqual(resolveStoreUrl('https://apps.apple.com/app/id12'), { store: 'appstore', id: 12, country: null, lang: null });
+  assert.deepEqual(resolveStoreUrl('apps.apple.com/gb/app/spotify/id324684580'), { store: 'appstore', id: 324684580, country: 'gb', lang: null });
+});
+
+test('iTunes, itms-apps and lookup URLs', () => {
+  assert.deepEqual(resolveStoreUrl('https://itunes.apple.com/gb/app/id324684580?mt=8'), { store: 'appstore', id: 324684580, country: 'gb', lang: null });
+  assert.deepEqual(resolveStoreUrl('itms-apps://itunes.apple.com/app/id324684580'), { store: 'appstore', id: 324684580, country: null, lang: null });
+  assert.deepEqual(resolveStoreUrl('https://itunes.apple.com/lookup?id=324684580&country=FR'), { store: 'appstore', id: 324684580, country: 'fr', lang: null });
+});
+
+test('Google Play and market URLs', () => {
+  assert.deepEqual(resolveStoreUrl('https://play.google.com/store/apps/details?id=com.spotify.music&hl=de&gl=AT'), {
+    store: 'googleplay', id: 'com.spotify.music', country: 'at', lang: 'de',
+  });
+  assert.deepEqual(resolveStoreUrl('  play.google.com/store/apps/details?id=com.spotify.music '), {
+    store: 'googleplay', id: 'com.spotify.music', country: null, lang: null,
+  });
+  assert.deepEqual(resolveStoreUrl('https://market.android.com/details?id=com.spotify.music'), {
+    store: 'googleplay', id: 'com.spotify.music', country: null, lang: null,
+  });
+  assert.deepEqual(resolveStoreUrl('market://details?id=com.spotify.music'), { store: 'googleplay', id: 'com.spotify.music', country: null, lang: null });
+});
+
+test('other URLs are INVALID_ARGUMENT', () => {
+  for (const input of [
+    'https://apps.apple.com/us/developer/spotify/id324684583',
+    'https://apps.apple.com/us/app/spotify',
+    'https://play.google.com/store/apps/developer?id=Spotify+AB',
+    'https://play.google.com/store/apps/details?id=com.spotify.music/../x',
+    'market://search?q=spotify',
+    'https://example.com/app/id324684580',
+    'not a url',
+    42,
+  ]) {
+    assert.throws(() => resolveStoreUrl(input), { name: 'StoreError', code: 'INVALID_ARGUMENT' }, String(input));
+  }
+});
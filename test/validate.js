@@ -0,0 +1,74 @@
+/**
+ * Argument validation tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateArgs, ValidationError } from '../src/tools/validate.js';
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    num: { type: 'number', maximum: 200 },
+    full: { type: 'boolean' },
+    country: { type: 'string', format: 'country' },
+    sort: { type: 'string', enum: ['newest', 'helpful'] },
+    ids: { type: 'array', maxItems: 2, items: { type: 'integer' } },
+  },
+  anyOf: [{ required: ['id'] }, { required: ['ids'] }],
+};
+
+/**
+ * Returns the field errors of invalid arguments
+ */
+function errorsOf(args) {
+  try {
+    validateArgs(SCHEMA, args);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.code, 'INVALID_ARGUMENT');
+    return error.errors;
+  }
+  assert.fail('arguments were accepted');
+}
+
+test('safe values are coerced', () => {
+  assert.deepEqual(validateArgs(SCHEMA, { id: '42', num: '2.5', full: 'false', country: ' GB ', ids: ['1', 2] }), {
+    id: 42,
+    num: 2.5,
+    full: false,
+    country: 'gb',
+    ids: [1, 2],
+  });
+});
+
+test('every invalid field is reported, not only the first', () => {
+  assert.deepEqual(errorsOf({ id: 0, num: 'many', country: 'xx', sort: 'oldest' }), [
+    { field: 'id', message: 'must be >= 1', received: 0 },
+    { field: 'num', message: 'must be of type number', received: 'many' },
+    { field: 'country', message: 'must be an ISO 3166-1 alpha-2 country code (e.g., us, gb, de)', received: 'xx' },
+    { field: 'sort', message: 'must be one of: newest, helpful', received: 'oldest' },
+  ]);
+});
+
+test('array items and sizes are checked with their index', () => {
+  assert.deepEqual(errorsOf({ ids: [1, 'two', 3] }), [
+    { field: 'ids', message: 'must have at most 2 items', received: 3 },
+    { field: 'ids[1]', message: 'must be of type integer', received: 'two' },
+  ]);
+});
+
+test('anyOf of required fields is one error naming the alternatives', () => {
+  assert.deepEqual(errorsOf({ full: true }), [{ field: 'id or ids', message: 'is required' }]);
+});
+
+test('unknown fields are rejected with additionalProperties: false', () => {
+  const schema = { type: 'object', additionalProperties: false, properties: { term: { type: 'string' } } };
+  assert.throws(() => validateArgs(schema, { term: 'maps', trem: 'maps' }), { errors: [{ field: 'trem', message: 'is not a known field' }] });
+});
+
+test('non-object arguments are rejected', () => {
+  assert.throws(() => validateArgs(SCHEMA, 'id=1'), { errors: [{ field: 'arguments', message: 'must be an object', received: 'id=1' }] });
+});